@@ -1,6 +1,326 @@
 import * as THREE from 'three';
 import { VRButton } from 'three/addons/webxr/VRButton.js';
+import { ARButton } from 'three/addons/webxr/ARButton.js';
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
+import { XRControllerModelFactory } from 'three/addons/webxr/XRControllerModelFactory.js';
+import { XRHandModelFactory } from 'three/addons/webxr/XRHandModelFactory.js';
+import { GLTFExporter } from 'three/addons/exporters/GLTFExporter.js';
+import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
+import { OBJLoader } from 'three/addons/loaders/OBJLoader.js';
+import { PhysicsWorld, computeLocalBounds } from './physics.js';
+import { CollaborationClient } from './collaboration.js';
+import { createButton, updateButton, setButtonHovered, flashButton, disposeButton, layoutRow, layoutGrid } from './vr-ui.js';
+import { SpatialIndex } from './spatial-index.js';
+import { InstanceBatcher } from './instancing.js';
+import { ModelStore } from './model-store.js';
+
+// Scene persistence
+const SCENE_SCHEMA_VERSION = 5;
+const AUTOSAVE_STORAGE_KEY = 'vr-object-creator:autosave';
+const SAVED_SCENE_STORAGE_KEY = 'vr-object-creator:saved-scene';
+const AUTOSAVE_DELAY = 500;
+
+// Undo/redo
+const DEFAULT_HISTORY_DEPTH = 100;
+
+// Two-handed manipulation
+const MIN_OBJECT_SCALE = 0.1;
+const MAX_OBJECT_SCALE = 10;
+
+// Rotation constraints for one-handed grabs, cycled from the VR menu
+const ROTATION_CONSTRAINTS = ['free', 'yaw', 'none'];
+const ROTATION_CONSTRAINT_COLORS = {
+    free: 0x3498DB,
+    yaw: 0xE67E22,
+    none: 0x95A5A6
+};
+
+// Placement snapping
+const DEFAULT_SNAP_SETTINGS = {
+    enabled: false,
+    positionStep: 0.25,
+    rotationStep: 15,
+    surfaceSnap: true
+};
+const SURFACE_SNAP_TOLERANCE = 0.05;
+
+// Spawn placement
+const SPAWN_POLICIES = ['pointer', 'front', 'random'];
+const SPAWN_POLICY_COLORS = {
+    pointer: 0x8E44AD,
+    front: 0x2980B9,
+    random: 0x7F8C8D
+};
+const SPAWN_RAY_DISTANCE = 1;
+const SPAWN_FRONT_DISTANCE = 1.2;
+const SPAWN_FALLBACK_DISTANCE = 3;
+
+// VR menu
+const MENU_WIDTH = 4;
+const MENU_HEIGHT = 2.2;
+// Tab pages hang down from here, below the title and tab bar
+const MENU_PAGE_TOP = MENU_HEIGHT / 2 - 0.65;
+const MENU_TABS = [
+    { id: 'create', label: 'Create', icon: '➕' },
+    { id: 'models', label: 'Models', icon: '🧩' },
+    { id: 'tools', label: 'Tools', icon: '🧰' },
+    { id: 'settings', label: 'Settings', icon: '⚙️' }
+];
+const MENU_TAB_COLORS = {
+    active: 0x00BCD4,
+    inactive: 0x455A64
+};
+const MENU_GRID_CELL = { width: 0.8, height: 0.34 };
+const MENU_GRID_COLUMNS = 3;
+const MENU_GRID_GAP = 0.08;
+const MENU_BUTTONS_PER_PAGE = 6;
+const MENU_SPAWN_LABELS = {
+    pointer: 'Ray tip',
+    front: 'In front',
+    random: 'Random'
+};
+const MENU_CONSTRAINT_LABELS = {
+    free: 'Free',
+    yaw: 'Yaw only',
+    none: 'Locked'
+};
+
+// VR menu placement: pinned in the world, on the off-hand wrist, or summoned with a button
+const MENU_PLACEMENT_STORAGE_KEY = 'vr-object-creator:menu-placement';
+const MENU_PLACEMENT_MODES = ['pinned', 'wrist', 'summoned'];
+const MENU_PLACEMENT_LABELS = {
+    pinned: 'Pinned',
+    wrist: 'Wrist',
+    summoned: 'Summon'
+};
+const DEFAULT_MENU_PLACEMENT = {
+    mode: 'pinned',
+    position: [0, 2.5, -3],
+    quaternion: [0, 0, 0, 1],
+    scale: 1
+};
+const MENU_WRIST_HANDEDNESS = 'left';
+const MENU_WRIST_OFFSET = [0, 0.06, 0.03];
+const MENU_WRIST_TILT = -Math.PI / 3;
+const MENU_WRIST_SCALE = 0.08;
+const MENU_SUMMON_DISTANCE = 1.2;
+const MENU_SUMMON_DROP = 0.15;
+const MENU_SUMMON_SCALE = 0.35;
+
+// Controller input mapping. Button indices follow the xr-standard gamepad layout:
+// 2 touchpad, 3 thumbstick press, 4 A/X, 5 B/Y. The select (trigger) and squeeze
+// (grip) events and each thumbstick map to actions the same way, and profiles
+// listed in CONTROLLER_MAPPINGS override the default by WebXR input profile id.
+const DEFAULT_CONTROLLER_MAPPING = {
+    select: 'activate',
+    squeeze: 'grab',
+    buttons: { 3: 'toggleMenu', 4: 'toggleDelete', 5: 'undo' },
+    // Sticks walk and turn, except on a controller holding something
+    thumbstick: { left: 'walk', right: 'turn', none: 'turn', held: 'pushPull' }
+};
+const CONTROLLER_MAPPINGS = {
+    // Vive wands have a touchpad and no face buttons; pressing the pad summons the menu
+    'htc-vive': { ...DEFAULT_CONTROLLER_MAPPING, buttons: { 2: 'toggleMenu' } }
+};
+const GRAB_PUSH_SPEED = 2;
+const GRAB_PUSH_RANGE = { min: 0.05, max: 10 };
+
+// Controller rays stop at what they point at; hovered objects glow, red in delete mode
+const RAY_LENGTH = 2;
+const RAY_CURSOR_RADIUS = 0.008;
+const HOVER_TINTS = { normal: 0x222222, delete: 0x661111 };
+
+// Vibration per event, scaled by the user's haptic intensity setting
+const HAPTICS_STORAGE_KEY = 'vr-object-creator:haptics';
+const HAPTIC_PULSES = {
+    hover: { intensity: 0.15, duration: 15 },
+    press: { intensity: 0.4, duration: 40 },
+    grab: { intensity: 0.6, duration: 60 },
+    release: { intensity: 0.3, duration: 30 },
+    delete: { intensity: 1, duration: 120 }
+};
+const HAPTIC_HOVER_INTERVAL = 100;
+const HAPTIC_INTENSITY_STEPS = [1, 0.5, 0];
+const DEFAULT_HAPTIC_INTENSITY = 1;
+
+// Desktop key bindings, editable from the key bindings panel. Object type
+// hotkeys join the table as create:<type id> actions when they're registered.
+const KEY_BINDINGS_STORAGE_KEY = 'vr-object-creator:key-bindings';
+const KEY_ACTIONS = [
+    { id: 'moveForward', label: 'Move forward', key: 'KeyW' },
+    { id: 'moveBackward', label: 'Move back', key: 'KeyS' },
+    { id: 'moveLeft', label: 'Move left', key: 'KeyA' },
+    { id: 'moveRight', label: 'Move right', key: 'KeyD' },
+    { id: 'moveUp', label: 'Fly up', key: 'KeyE' },
+    { id: 'moveDown', label: 'Fly down', key: 'KeyQ' },
+    { id: 'sprint', label: 'Sprint', key: 'ShiftLeft' },
+    { id: 'toggleFly', label: 'Toggle fly camera', key: 'KeyF' },
+    { id: 'toggleDelete', label: 'Toggle delete mode', key: 'KeyX' },
+    { id: 'deleteSelection', label: 'Delete selection', key: 'Delete' },
+    { id: 'cancel', label: 'Release / deselect', key: 'Escape' }
+];
+// Strafe, forward and up for each held movement action
+const MOVE_ACTIONS = {
+    moveForward: [0, 1, 0],
+    moveBackward: [0, -1, 0],
+    moveLeft: [-1, 0, 0],
+    moveRight: [1, 0, 0],
+    moveUp: [0, 0, 1],
+    moveDown: [0, 0, -1]
+};
+
+// Desktop fly camera
+const CAMERA_MODES = ['orbit', 'fly'];
+const SPRINT_MULTIPLIER = 3;
+const FLY_LOOK_SENSITIVITY = 0.0025;
+const FLY_MAX_PITCH = THREE.MathUtils.degToRad(85);
+const FLY_ORBIT_DISTANCE = 2;
+const FLY_FLOOR_CLEARANCE = 0.3;
+
+// Grouped objects are stored under this type with their members as children
+const GROUP_TYPE = 'group';
+const SELECT_MODE_COLORS = {
+    off: 0x8BC34A,
+    on: 0xFFEB3B
+};
+
+// Duplicate and clipboard
+const DUPLICATE_OFFSET = [0.25, 0, 0.25];
+const CLIPBOARD_FORMAT = 'vr-object-creator/objects';
+
+// Imported models
+const MODEL_TARGET_SIZE = 0.5;
+const MODEL_FORMATS = {
+    glb: 'glb',
+    gltf: 'gltf',
+    obj: 'obj'
+};
+const MODEL_COLORS = [0xE91E63, 0x3F51B5, 0x009688, 0xFF9800, 0x795548, 0x607D8B];
+
+// Property inspector
+const MATERIAL_KINDS = ['lambert', 'standard'];
+const DEFAULT_MATERIAL_PROPERTIES = {
+    kind: 'lambert',
+    roughness: 1,
+    metalness: 0,
+    opacity: 1,
+    wireframe: false
+};
+const SELECTION_COLOR = 0xFFEB3B;
+const INSPECTOR_SLIDERS = [
+    { key: 'scale', label: 'Scale', min: MIN_OBJECT_SCALE, max: 3 },
+    { key: 'opacity', label: 'Opacity', min: 0.05, max: 1 },
+    { key: 'roughness', label: 'Roughness', min: 0, max: 1 },
+    { key: 'metalness', label: 'Metalness', min: 0, max: 1 }
+];
+const INSPECTOR_WHEEL_RADIUS = 0.2;
+const INSPECTOR_PANEL_OFFSET = 0.5;
+
+// Collaboration over the relay in relay-server.mjs
+const COLLAB_USER_STORAGE_KEY = 'vr-object-creator:collab-user';
+const COLLAB_DEFAULT_PORT = 8787;
+const COLLAB_DEFAULT_ROOM = 'default';
+const COLLAB_TRANSFORM_INTERVAL = 50;
+const COLLAB_PRESENCE_INTERVAL = 100;
+const AVATAR_COLORS = [0xE74C3C, 0x3498DB, 0x2ECC71, 0xF1C40F, 0x9B59B6, 0x1ABC9C, 0xE67E22];
+const AVATAR_SMOOTHING = 12;
+
+// Locomotion
+const LOCOMOTION_STORAGE_KEY = 'vr-object-creator:locomotion';
+const TURN_MODES = ['snap', 'smooth'];
+const DEFAULT_LOCOMOTION_SETTINGS = {
+    moveSpeed: 2,
+    turnMode: 'snap',
+    snapTurnAngle: 30,
+    smoothTurnSpeed: 90,
+    vignette: true
+};
+const THUMBSTICK_DEADZONE = 0.2;
+const SNAP_TURN_THRESHOLD = 0.6;
+const SNAP_TURN_RESET = 0.3;
+const TELEPORT_AIM_THRESHOLD = 0.7;
+const TELEPORT_ARC_SPEED = 7;
+const TELEPORT_ARC_SEGMENTS = 40;
+const TELEPORT_ARC_STEP = 0.03;
+const TELEPORT_COLORS = {
+    valid: 0x2ECC71,
+    invalid: 0xE74C3C
+};
+const ROOM_WALL_MARGIN = 0.3;
+const VIGNETTE_OPACITY = 0.9;
+const VIGNETTE_FADE_SPEED = 6;
+
+// AR passthrough
+const AR_SESSION_FEATURES = ['local-floor', 'hit-test', 'anchors', 'hand-tracking'];
+const AR_RETICLE_COLOR = 0xFFFFFF;
+const AR_ANCHOR_TOLERANCE = 0.001;
+
+// Hand tracking
+const POKE_DEPTH = 0.02;
+const PINCH_GRAB_MARGIN = 0.02;
+
+// Performance. Adaptive quality drops a level when frames run over budget and
+// climbs back after a stretch on budget, waiting longer after every drop so it
+// settles instead of flickering between two levels.
+const PERFORMANCE_STORAGE_KEY = 'vr-object-creator:performance';
+const DEFAULT_PERFORMANCE_SETTINGS = {
+    adaptiveQuality: true,
+    instancing: true
+};
+const QUALITY_LEVELS = [
+    { label: 'High', pixelRatio: 1, shadowMapSize: 2048, foveation: 0.5 },
+    { label: 'Medium', pixelRatio: 0.8, shadowMapSize: 1024, foveation: 0.75 },
+    { label: 'Low', pixelRatio: 0.6, shadowMapSize: 512, foveation: 1 }
+];
+const DESKTOP_FRAME_RATE = 60;
+const XR_FRAME_RATE = 72;
+const QUALITY_SAMPLE_TIME = 1;
+const QUALITY_SLOW_RATIO = 1.2;
+const QUALITY_UPGRADE_DELAY = 5;
+const QUALITY_MAX_UPGRADE_DELAY = 60;
+// Longer frames are pauses such as a hidden tab, not slow rendering
+const QUALITY_MAX_FRAME_TIME = 0.5;
+
+// Migrations upgrade a scene document from the keyed version to the next one
+const SCENE_MIGRATIONS = {
+    // Version 0: bare array of objects written before the schema was versioned
+    0: (data) => ({
+        version: 1,
+        savedAt: null,
+        objects: Array.isArray(data) ? data : (data.objects || [])
+    }),
+    // Version 1: primitives only, no imported model library
+    1: (data) => ({
+        ...data,
+        version: 2,
+        models: []
+    }),
+    // Version 2: bare color per primitive, no names or material settings
+    2: (data) => ({
+        ...data,
+        version: 3,
+        objects: data.objects.map(({ color, ...object }) => ({
+            ...object,
+            name: object.name || '',
+            material: color !== undefined ? { ...DEFAULT_MATERIAL_PROPERTIES, color } : null
+        }))
+    }),
+    // Version 3: every object visible and grabbable
+    3: (data) => ({
+        ...data,
+        version: 4,
+        objects: data.objects.map(object => ({
+            ...object,
+            hidden: false,
+            locked: false
+        }))
+    }),
+    // Version 4: model files always inline, never kept apart in the model store
+    4: (data) => ({
+        ...data,
+        version: 5
+    })
+};
 
 // Enhanced VR Object Creator with comprehensive WebXR support
 class VRObjectCreator {
@@ -20,15 +340,37 @@ class VRObjectCreator {
         this.objects = [];
         this.menu = null;
         this.menuButtons = [];
+        this.menuPages = null;
+        this.createMenuPage = null;
+        this.createMenuGrid = null;
+        this.menuPageLabel = null;
+        this.menuTab = 'create';
+        this.menuPageIndex = 0;
+        this.menuPlacement = this.loadMenuPlacement();
+        this.menuDrag = null;
+        this.isMenuSummoned = false;
+        this.controllerGrips = [];
+        this.hoveredObjects = new Set();
+        this.hapticIntensity = this.loadHapticIntensity();
         this.room = null;
+        this.floor = null;
         this.platform = null;
         this.tables = [];
         
+        // Physics
+        this.physics = null;
+        this.physicsEnabled = false;
+        this.clock = new THREE.Clock();
+        
         // Interaction state
         this.selectedObject = null;
-        this.grabbedObject = null;
-        this.grabbedController = null;
+        this.grabs = new Map();
+        this.twoHandGestures = new Map();
         this.isDeleteMode = false;
+        this.rotationConstraint = 'free';
+        this.snapSettings = { ...DEFAULT_SNAP_SETTINGS };
+        this.snapGrid = null;
+        this.spawnPolicy = 'pointer';
         this.objectCount = 0;
         
         // Input handling
@@ -36,15 +378,157 @@ class VRObjectCreator {
         this.mouseRaycaster = new THREE.Raycaster();
         this.inputMethod = 'desktop';
         
+        // Desktop drag state
+        this.isMouseDragging = false;
+        this.dragPointerId = null;
+        this.dragPlane = new THREE.Plane();
+        this.dragPlaneCameraFacing = false;
+        this.dragPoint = new THREE.Vector3();
+        
         // WebXR compatibility
         this.webXRSupported = false;
         this.vrSessionAvailable = false;
+        this.arSessionAvailable = false;
         this.httpsRequired = !this.isHTTPS();
         this.compatibilityIssues = [];
         
-        // Grab interaction
-        this.grabOffset = new THREE.Vector3();
-        this.grabRotationOffset = new THREE.Quaternion();
+        // Grab interaction scratch values
+        this.anchorPosition = new THREE.Vector3();
+        this.pushDirection = new THREE.Vector3();
+        this.anchorQuaternion = new THREE.Quaternion();
+        this.secondAnchorPosition = new THREE.Vector3();
+        this.gestureAxis = new THREE.Vector3();
+        this.gestureMidpoint = new THREE.Vector3();
+        this.grabDelta = new THREE.Quaternion();
+        this.grabEuler = new THREE.Euler(0, 0, 0, 'YXZ');
+        this.gestureRotation = new THREE.Quaternion();
+        
+        // Hand tracking scratch values
+        this.pinchPoint = new THREE.Vector3();
+        this.pokePoint = new THREE.Vector3();
+        this.pinchBox = new THREE.Box3();
+        
+        // Pointer hover and menu placement scratch values
+        this.hoverRaycaster = new THREE.Raycaster();
+        this.hoverMatrix = new THREE.Matrix4();
+        this.menuHead = new THREE.Vector3();
+        this.menuForward = new THREE.Vector3();
+        this.menuAxis = new THREE.Vector3();
+        this.menuQuaternion = new THREE.Quaternion();
+        this.menuScale = new THREE.Vector3();
+        this.pokeScale = new THREE.Vector3();
+        
+        // Persistence
+        this.autosaveTimer = null;
+        this.isAutosaveFailing = false;
+        this.isRestoringScene = false;
+        
+        // Selection and property inspector
+        this.selection = new Set();
+        // The outliner is rebuilt at most once a frame, however many objects changed
+        this.isOutlinerDirty = false;
+        this.selectionHelpers = new Map();
+        this.selectionFollowers = new Map();
+        this.followerMatrix = new THREE.Matrix4();
+        this.isSelectMode = false;
+        this.marquee = null;
+        this.inspectorPanel = null;
+        this.inspectorControls = null;
+        this.inspectorDrags = new Map();
+        this.propertyEditStart = null;
+        this.inspectorEuler = new THREE.Euler();
+        this.inspectorColor = new THREE.Color();
+        this.inspectorPoint = new THREE.Vector3();
+        this.inspectorDirection = new THREE.Vector3();
+        this.inspectorPlane = new THREE.Plane();
+        this.inspectorBox = new THREE.Box3();
+        this.inspectorSphere = new THREE.Sphere();
+        
+        // Object type registry, keyed by type id
+        // Key bindings load first so registered object types can add their hotkeys
+        this.keyBindings = this.loadKeyBindings();
+        this.heldKeyActions = new Set();
+        this.rebindingAction = null;
+        
+        this.objectTypes = new Map();
+        this.registerBuiltInObjectTypes();
+        
+        // Imported model library, keyed by model id
+        this.modelLibrary = new Map();
+        this.modelStore = new ModelStore();
+        
+        // glTF export
+        this.exportIncludeEnvironment = false;
+        this.pendingVRExport = false;
+        
+        // Undo/redo history
+        this.undoStack = [];
+        this.redoStack = [];
+        this.historyDepth = DEFAULT_HISTORY_DEPTH;
+        this.isApplyingHistory = false;
+        this.commandBatch = null;
+        this.grabStartTransforms = new Map();
+        
+        // Locomotion
+        this.cameraRig = null;
+        this.locomotionSettings = this.loadLocomotionSettings();
+        this.cameraMode = 'orbit';
+        this.flyEuler = new THREE.Euler(0, 0, 0, 'YXZ');
+        this.flyMove = new THREE.Vector3();
+        this.snapTurnArmed = true;
+        this.teleportArc = null;
+        this.teleportMarker = null;
+        this.teleportController = null;
+        this.teleportTarget = null;
+        this.vignette = null;
+        this.vignetteStrength = 0;
+        this.locomotionForward = new THREE.Vector3();
+        this.locomotionRight = new THREE.Vector3();
+        this.locomotionMove = new THREE.Vector3();
+        this.locomotionHead = new THREE.Vector3();
+        this.locomotionCamera = new THREE.Vector3();
+        this.arcOrigin = new THREE.Vector3();
+        this.arcVelocity = new THREE.Vector3();
+        this.arcPoint = new THREE.Vector3();
+        this.arcPrevious = new THREE.Vector3();
+        this.arcSegment = new THREE.Vector3();
+        this.arcRaycaster = new THREE.Raycaster();
+        
+        // AR passthrough
+        this.isARSession = false;
+        this.arSavedEnvironment = null;
+        this.arReticles = [];
+        this.arHitTestSources = new Map();
+        this.arAnchors = new Map();
+        this.pendingARAnchors = new Set();
+        this.arAnchorPosition = new THREE.Vector3();
+        this.lastCreatedType = 'cube';
+        
+        // Collaboration
+        this.collaboration = null;
+        this.isApplyingRemote = false;
+        this.sharedModelIds = new Set();
+        this.avatars = new Map();
+        this.lastTransformBroadcast = 0;
+        this.lastPresenceBroadcast = 0;
+        
+        // Performance
+        this.performanceSettings = this.loadPerformanceSettings();
+        this.sharedGeometries = new Map();
+        this.spatialIndex = new SpatialIndex();
+        // Set by creates and deletes so raycasts before the next frame see them
+        this.isSpatialIndexStale = false;
+        this.instanceBatcher = null;
+        this.sunLight = null;
+        this.qualityLevel = 0;
+        this.qualityFrames = 0;
+        this.qualityTime = 0;
+        this.qualityOnBudgetTime = 0;
+        this.qualityUpgradeDelay = QUALITY_UPGRADE_DELAY;
+        this.controllerRaycaster = new THREE.Raycaster();
+        this.controllerRayMatrix = new THREE.Matrix4();
+        this.arcNormal = new THREE.Vector3();
+        this.arcLanding = new THREE.Vector3();
         
         this.init();
     }
@@ -62,13 +546,18 @@ class VRObjectCreator {
             this.createRoom();
             this.createPlatform();
             this.createTables();
+            this.setupPhysics();
             this.createMenu();
+            this.createInspectorPanel();
+            this.createLocomotionHelpers();
             this.setupLights();
             
             this.showLoadingStep('step-vr', '⏳ Setting up VR');
             await this.setupVR();
             
             this.setupEventListeners();
+            await this.restoreAutosave();
+            this.setupCollaboration();
             this.animate();
             this.updateUI();
             
@@ -150,6 +639,15 @@ class VRObjectCreator {
                     solution: 'Check browser WebXR flags or permissions'
                 });
             }
+            
+            try {
+                // AR passthrough is optional, so it gets a status of its own rather than an issue
+                this.arSessionAvailable = await navigator.xr.isSessionSupported('immersive-ar');
+                console.log(`AR sessions ${this.arSessionAvailable ? 'supported' : 'not supported'}`);
+            } catch (error) {
+                console.warn('AR support check failed:', error);
+                this.arSessionAvailable = false;
+            }
         }
         
         this.compatibilityIssues = issues;
@@ -189,6 +687,19 @@ class VRObjectCreator {
             vrStatus.innerHTML = '❌ VR Support: None';
         }
         
+        // Update AR status
+        const arStatus = document.getElementById('ar-status');
+        if (this.arSessionAvailable) {
+            arStatus.className = 'status status--success';
+            arStatus.innerHTML = '✅ AR Passthrough: Ready';
+        } else if (this.webXRSupported) {
+            arStatus.className = 'status status--warning';
+            arStatus.innerHTML = '⚠️ AR Passthrough: Not Supported';
+        } else {
+            arStatus.className = 'status status--error';
+            arStatus.innerHTML = '❌ AR Passthrough: None';
+        }
+        
         // Show error/troubleshooting panels if needed
         if (this.compatibilityIssues.length > 0) {
             this.showCompatibilityIssues();
@@ -196,8 +707,11 @@ class VRObjectCreator {
         
         // Update current mode
         const modeElement = document.getElementById('current-mode');
-        if (this.vrSessionAvailable) {
-            modeElement.textContent = 'VR Ready';
+        if (this.vrSessionAvailable && this.arSessionAvailable) {
+            modeElement.textContent = 'VR & AR Ready';
+            modeElement.style.color = 'var(--color-success)';
+        } else if (this.vrSessionAvailable || this.arSessionAvailable) {
+            modeElement.textContent = this.vrSessionAvailable ? 'VR Ready' : 'AR Ready';
             modeElement.style.color = 'var(--color-success)';
         } else {
             modeElement.textContent = 'Desktop Fallback';
@@ -245,6 +759,11 @@ class VRObjectCreator {
         );
         this.camera.position.set(0, 1.6, 3);
 
+        // Locomotion moves this rig; the headset and controllers track inside it
+        this.cameraRig = new THREE.Group();
+        this.cameraRig.add(this.camera);
+        this.scene.add(this.cameraRig);
+
         // Renderer with enhanced settings
         this.renderer = new THREE.WebGLRenderer({ 
             antialias: true,
@@ -254,12 +773,19 @@ class VRObjectCreator {
         this.renderer.setSize(window.innerWidth, window.innerHeight);
         this.renderer.shadowMap.enabled = true;
         this.renderer.shadowMap.type = THREE.PCFSoftShadowMap;
+        // Shadows are redrawn only when something moves; see animate()
+        this.renderer.shadowMap.autoUpdate = false;
+        this.renderer.shadowMap.needsUpdate = true;
         this.renderer.outputEncoding = THREE.sRGBEncoding;
         this.renderer.toneMapping = THREE.ACESFilmicToneMapping;
         this.renderer.toneMappingExposure = 1.2;
         
         document.body.appendChild(this.renderer.domElement);
 
+        // Look-alike objects draw as instanced batches
+        this.instanceBatcher = new InstanceBatcher(this.scene);
+        this.instanceBatcher.enabled = this.performanceSettings.instancing;
+
         // Desktop controls
         this.controls = new OrbitControls(this.camera, this.renderer.domElement);
         this.controls.target.set(0, 1.6, 0);
@@ -297,6 +823,7 @@ class VRObjectCreator {
         floor.rotation.x = -Math.PI / 2;
         floor.receiveShadow = true;
         roomGroup.add(floor);
+        this.floor = floor;
 
         // Ceiling
         const ceiling = new THREE.Mesh(floorGeometry.clone(), ceilingMaterial);
@@ -331,6 +858,7 @@ class VRObjectCreator {
         rightWall.rotation.y = -Math.PI / 2;
         roomGroup.add(rightWall);
 
+        roomGroup.userData.size = { width, height, depth };
         this.room = roomGroup;
         this.scene.add(roomGroup);
     }
@@ -346,6 +874,98 @@ class VRObjectCreator {
         this.platform.castShadow = true;
         this.platform.receiveShadow = true;
         this.scene.add(this.platform);
+        
+        this.updateSnapGrid();
+    }
+
+    updateSnapGrid() {
+        if (this.snapGrid) {
+            this.scene.remove(this.snapGrid);
+            this.snapGrid.geometry.dispose();
+            this.snapGrid.material.dispose();
+        }
+
+        // Lines fall on multiples of the step from the origin, covering the platform
+        const step = this.snapSettings.positionStep;
+        const divisions = 2 * Math.ceil(2 / step);
+        this.snapGrid = new THREE.GridHelper(step * divisions, divisions, 0x00FFFF, 0x00AAAA);
+        this.snapGrid.position.y = this.platform.position.y + 0.101;
+        this.snapGrid.material.transparent = true;
+        this.snapGrid.material.opacity = 0.5;
+        this.snapGrid.visible = this.snapSettings.enabled;
+        this.scene.add(this.snapGrid);
+    }
+
+    setSnapSettings(settings) {
+        const previousStep = this.snapSettings.positionStep;
+        Object.assign(this.snapSettings, settings);
+
+        if (this.snapSettings.positionStep !== previousStep) {
+            this.updateSnapGrid();
+        }
+        this.snapGrid.visible = this.snapSettings.enabled;
+
+        this.updateMenuStates();
+
+        const snapToggle = document.getElementById('snap-enabled');
+        if (snapToggle) snapToggle.checked = this.snapSettings.enabled;
+    }
+
+    snapToGrid(object) {
+        const { positionStep, rotationStep } = this.snapSettings;
+
+        object.position.x = Math.round(object.position.x / positionStep) * positionStep;
+        object.position.z = Math.round(object.position.z / positionStep) * positionStep;
+
+        const rotationRadians = THREE.MathUtils.degToRad(rotationStep);
+        const euler = new THREE.Euler().setFromQuaternion(object.quaternion);
+        euler.set(
+            Math.round(euler.x / rotationRadians) * rotationRadians,
+            Math.round(euler.y / rotationRadians) * rotationRadians,
+            Math.round(euler.z / rotationRadians) * rotationRadians
+        );
+        object.quaternion.setFromEuler(euler);
+    }
+
+    snapToSurface(object) {
+        object.updateMatrixWorld(true);
+        const bounds = new THREE.Box3().setFromObject(object);
+        const center = bounds.getCenter(new THREE.Vector3());
+
+        // Highest top face under the object's footprint centre, floor by default
+        let surfaceY = 0;
+        const supports = [this.platform, ...this.tables, ...this.objects.filter(other => other !== object && other.visible)];
+        const supportBounds = new THREE.Box3();
+
+        supports.forEach(support => {
+            support.traverse(child => {
+                if (!child.isMesh) return;
+
+                supportBounds.setFromObject(child);
+                const isUnder = center.x >= supportBounds.min.x && center.x <= supportBounds.max.x &&
+                    center.z >= supportBounds.min.z && center.z <= supportBounds.max.z;
+                const isBelow = supportBounds.max.y <= bounds.min.y + SURFACE_SNAP_TOLERANCE;
+
+                if (isUnder && isBelow && supportBounds.max.y > surfaceY) {
+                    surfaceY = supportBounds.max.y;
+                }
+            });
+        });
+
+        object.position.y += surfaceY - bounds.min.y;
+    }
+
+    applyPlacementSnapping(object) {
+        if (!this.snapSettings.enabled) return;
+
+        this.snapToGrid(object);
+
+        // With physics on, gravity already settles objects onto surfaces
+        if (this.snapSettings.surfaceSnap && !this.physicsEnabled) {
+            this.snapToSurface(object);
+        }
+
+        this.physics.resetBody(object);
     }
 
     createTables() {
@@ -388,14 +1008,72 @@ class VRObjectCreator {
         });
     }
 
+    setupPhysics() {
+        this.physics = new PhysicsWorld();
+
+        // Room shell as thick boxes around the floor, walls and ceiling
+        const { width, height, depth } = this.room.userData.size;
+        const thickness = 1;
+        const halfWidth = width / 2;
+        const halfDepth = depth / 2;
+        const roomBoxes = [
+            [[-halfWidth, -thickness, -halfDepth], [halfWidth, 0, halfDepth]],
+            [[-halfWidth, height, -halfDepth], [halfWidth, height + thickness, halfDepth]],
+            [[-halfWidth - thickness, 0, -halfDepth], [-halfWidth, height, halfDepth]],
+            [[halfWidth, 0, -halfDepth], [halfWidth + thickness, height, halfDepth]],
+            [[-halfWidth, 0, -halfDepth - thickness], [halfWidth, height, -halfDepth]],
+            [[-halfWidth, 0, halfDepth], [halfWidth, height, halfDepth + thickness]]
+        ];
+        roomBoxes.forEach(([min, max]) => {
+            this.physics.addStaticBox(new THREE.Box3(
+                new THREE.Vector3().fromArray(min),
+                new THREE.Vector3().fromArray(max)
+            ));
+        });
+
+        this.physics.addStaticObject(this.platform);
+        this.tables.forEach(table => this.physics.addStaticObject(table));
+
+        // Persist where things come to rest, and hand thrown objects back to peers
+        this.physics.onBodySleep = (object) => {
+            this.releaseObjectLock(object);
+            this.scheduleAutosave();
+            this.updateInspector();
+        };
+    }
+
+    setPhysicsEnabled(enabled) {
+        this.physicsEnabled = enabled;
+
+        // Start from rest whichever way we switch
+        this.physics.wakeAll();
+        this.clock.getDelta();
+
+        // Objects still flying from a throw are no longer ours to simulate
+        if (!enabled) {
+            this.objects
+                .filter(object => !this.grabStartTransforms.has(object))
+                .forEach(object => this.releaseObjectLock(object));
+        }
+
+        this.updateMenuStates();
+
+        const togglePhysicsBtn = document.getElementById('toggle-physics');
+        if (togglePhysicsBtn) {
+            togglePhysicsBtn.textContent = `🪂 Physics: ${enabled ? 'ON' : 'OFF'}`;
+            togglePhysicsBtn.classList.toggle('physics-active', enabled);
+        }
+
+        console.log(`Physics: ${enabled ? 'ON' : 'OFF'}`);
+    }
+
     createMenu() {
         const menuGroup = new THREE.Group();
-        menuGroup.position.set(0, 2.5, -3);
 
-        // Menu background
+        // Menu background, unlit like its buttons
         const menuBg = new THREE.Mesh(
-            new THREE.PlaneGeometry(4, 1.8),
-            new THREE.MeshLambertMaterial({ 
+            new THREE.PlaneGeometry(MENU_WIDTH, MENU_HEIGHT),
+            new THREE.MeshBasicMaterial({ 
                 color: 0x333333, 
                 transparent: true, 
                 opacity: 0.9
@@ -403,515 +1081,5185 @@ class VRObjectCreator {
         );
         menuGroup.add(menuBg);
 
-        // Menu title
-        const titleGeometry = new THREE.PlaneGeometry(2, 0.3);
-        const titleMaterial = new THREE.MeshLambertMaterial({ color: 0x00FFFF });
-        const title = new THREE.Mesh(titleGeometry, titleMaterial);
-        title.position.set(0, 0.6, 0.01);
-        menuGroup.add(title);
-
-        // Object creation buttons
-        const objectTypes = ['cube', 'sphere', 'cylinder', 'cone', 'torus', 'tetrahedron'];
-        const buttonWidth = 0.5;
-        const buttonHeight = 0.3;
-        const buttonsPerRow = 3;
-        
         this.menuButtons = [];
-        
-        objectTypes.forEach((type, index) => {
-            const row = Math.floor(index / buttonsPerRow);
-            const col = index % buttonsPerRow;
-            const x = (col - 1) * (buttonWidth + 0.2);
-            const y = 0.1 - row * (buttonHeight + 0.15);
-
-            const buttonGeometry = new THREE.PlaneGeometry(buttonWidth, buttonHeight);
-            const buttonMaterial = new THREE.MeshLambertMaterial({ 
-                color: this.getObjectColor(type),
-                transparent: true,
-                opacity: 0.8
-            });
-            
-            const button = new THREE.Mesh(buttonGeometry, buttonMaterial);
-            button.position.set(x, y, 0.02);
-            button.userData = { 
-                type: 'menuButton', 
-                objectType: type,
-                originalColor: this.getObjectColor(type),
-                originalOpacity: 0.8
-            };
-            
+        const top = MENU_HEIGHT / 2;
+        const addButton = (options, parent = menuGroup) => {
+            const button = createButton(options);
             this.menuButtons.push(button);
-            menuGroup.add(button);
+            parent.add(button);
+            return button;
+        };
+
+        // The title doubles as a handle for carrying the menu somewhere else
+        const title = addButton({
+            type: 'menuHandle',
+            width: 2.4,
+            height: 0.2,
+            icon: '✋',
+            label: 'VR Object Creator',
+            color: 0x00FFFF,
+            background: false
         });
+        title.position.set(0, top - 0.18, 0.02);
 
-        // Delete mode button
-        const deleteButton = new THREE.Mesh(
-            new THREE.PlaneGeometry(1.2, 0.3),
-            new THREE.MeshLambertMaterial({ 
-                color: 0xFF0000, 
-                transparent: true, 
-                opacity: 0.8 
-            })
-        );
-        deleteButton.position.set(0, -0.6, 0.02);
-        deleteButton.userData = { 
-            type: 'deleteButton',
-            originalColor: 0xFF0000,
-            originalOpacity: 0.8
-        };
-        this.menuButtons.push(deleteButton);
-        menuGroup.add(deleteButton);
+        // One tab per page of tools
+        const tabs = MENU_TABS.map(tab => addButton({
+            type: 'menuTabButton',
+            tab: tab.id,
+            width: 0.85,
+            height: 0.22,
+            icon: tab.icon,
+            label: tab.label
+        }));
+        layoutRow(tabs, { y: top - 0.45, gap: 0.06 });
 
-        this.menu = menuGroup;
-        this.scene.add(menuGroup);
-    }
+        this.menuPages = new Map(MENU_TABS.map(tab => [tab.id, new THREE.Group()]));
+        this.menuPages.forEach(page => menuGroup.add(page));
 
-    getObjectColor(type) {
-        const colors = {
-            cube: 0xFF6B6B,
-            sphere: 0x4ECDC4,
-            cylinder: 0x45B7D1,
-            cone: 0xF39C12,
-            torus: 0x9B59B6,
-            tetrahedron: 0x2ECC71
-        };
-        return colors[type] || 0xFFFFFF;
-    }
+        // Create and models share the object grid, filled per tab and page by refreshCreateMenu
+        this.createMenuPage = new THREE.Group();
+        this.createMenuGrid = new THREE.Group();
+        this.createMenuPage.add(this.createMenuGrid);
+        menuGroup.add(this.createMenuPage);
 
-    async setupVR() {
-        // Only setup VR if WebXR is supported
-        if (!this.webXRSupported) {
-            console.log('WebXR not supported, using desktop fallback');
-            return;
-        }
+        const pager = [
+            addButton({ type: 'menuPageButton', step: -1, width: 0.5, height: 0.2, icon: '◀', color: 0x9E9E9E }, this.createMenuPage),
+            createButton({ width: 0.6, height: 0.2, label: '1 / 1', color: 0xFFFFFF, background: false }),
+            addButton({ type: 'menuPageButton', step: 1, width: 0.5, height: 0.2, icon: '▶', color: 0x9E9E9E }, this.createMenuPage)
+        ];
+        this.menuPageLabel = pager[1];
+        this.createMenuPage.add(this.menuPageLabel);
+        const gridRows = MENU_BUTTONS_PER_PAGE / MENU_GRID_COLUMNS;
+        layoutRow(pager, { y: MENU_PAGE_TOP - gridRows * (MENU_GRID_CELL.height + MENU_GRID_GAP) - 0.12, gap: 0.1 });
 
-        try {
-            // Enable XR on renderer
-            this.renderer.xr.enabled = true;
+        const tools = [
+            { type: 'selectModeButton', icon: '☑️' },
+            { type: 'duplicateButton', icon: '🧬', label: 'Duplicate', color: 0x26C6DA },
+            { type: 'groupButton', icon: '🔗', label: 'Group', color: 0x5C6BC0 },
+            { type: 'ungroupButton', icon: '✂️', label: 'Ungroup', color: 0x9FA8DA },
+            { type: 'exportButton', icon: '📤', color: 0xD4AC0D }
+        ].map(options => addButton({ width: 1, height: 0.3, ...options }, this.menuPages.get('tools')));
+        layoutGrid(tools, { columns: 3, top: MENU_PAGE_TOP, gapX: MENU_GRID_GAP, gapY: MENU_GRID_GAP });
 
-            // Create VR button only if VR sessions are supported
-            if (this.vrSessionAvailable) {
-                const vrButton = VRButton.createButton(this.renderer, {
-                    onUnsupported: () => {
-                        console.log('VR not supported');
-                        this.showVRError('VR headset not detected or not supported');
-                    }
-                });
-                document.body.appendChild(vrButton);
-                console.log('VR button created and added to DOM');
-            } else {
-                console.log('VR sessions not available, no VR button created');
-            }
+        const settings = [
+            { type: 'snapButton', icon: '🧲' },
+            { type: 'spawnButton', icon: '📍' },
+            { type: 'constraintButton', icon: '🔄' },
+            { type: 'physicsButton', icon: '🪂' },
+            { type: 'menuPlacementButton', icon: '📌' },
+            { type: 'hapticsButton', icon: '📳' }
+        ].map(options => addButton({ width: 1.5, height: 0.3, ...options }, this.menuPages.get('settings')));
+        layoutGrid(settings, { columns: 2, top: MENU_PAGE_TOP, gapX: MENU_GRID_GAP, gapY: MENU_GRID_GAP });
 
-            // Setup controllers
-            await this.setupControllers();
-            
-        } catch (error) {
-            console.error('VR setup failed:', error);
-            this.showVRError('Failed to initialize VR: ' + error.message);
-        }
-    }
+        // Undo, delete mode and redo stay along the bottom on every tab
+        const footer = [
+            { type: 'undoButton', icon: '↩️', label: 'Undo', color: 0x607D8B, width: 0.8 },
+            { type: 'deleteButton', icon: '🗑️', width: 1.2 },
+            { type: 'redoButton', icon: '↪️', label: 'Redo', color: 0x607D8B, width: 0.8 }
+        ].map(options => addButton({ height: 0.28, ...options }));
+        layoutRow(footer, { y: -top + 0.22, gap: 0.1 });
 
-    async setupControllers() {
-        if (!this.renderer.xr) return;
+        this.menu = menuGroup;
+        this.scene.add(menuGroup);
+        this.placeMenu();
+        this.setMenuTab(this.menuTab);
+    }
 
-        try {
-            // Controller 1
-            const controller1 = this.renderer.xr.getController(0);
-            controller1.addEventListener('selectstart', (e) => this.onSelectStart(e, 0));
-            controller1.addEventListener('selectend', (e) => this.onSelectEnd(e, 0));
-            controller1.addEventListener('connected', (e) => this.onControllerConnected(e, 0));
-            controller1.addEventListener('disconnected', () => this.onControllerDisconnected(0));
-            this.controllers.push(controller1);
-            this.scene.add(controller1);
+    getActiveMenuButtons() {
+        // Raycasting ignores visibility, so skip buttons on hidden pages and panels
+        return this.menuButtons.filter(button => {
+            for (let node = button; node; node = node.parent) {
+                if (!node.visible) return false;
+            }
+            return true;
+        });
+    }
 
-            // Controller 2
-            const controller2 = this.renderer.xr.getController(1);
-            controller2.addEventListener('selectstart', (e) => this.onSelectStart(e, 1));
-            controller2.addEventListener('selectend', (e) => this.onSelectEnd(e, 1));
-            controller2.addEventListener('connected', (e) => this.onControllerConnected(e, 1));
-            controller2.addEventListener('disconnected', () => this.onControllerDisconnected(1));
-            this.controllers.push(controller2);
-            this.scene.add(controller2);
+    isInteractable(object) {
+        return object.visible && !object.userData.locked && !this.isLockedByPeer(object);
+    }
 
-            // Add visual ray indicators
-            this.controllers.forEach(controller => {
-                const line = new THREE.BufferGeometry().setFromPoints([
-                    new THREE.Vector3(0, 0, 0),
-                    new THREE.Vector3(0, 0, -1)
-                ]);
-                const rayLine = new THREE.Line(line, new THREE.LineBasicMaterial({ 
-                    color: 0x00FFFF,
-                    linewidth: 2
-                }));
-                rayLine.scale.z = 2;
-                controller.add(rayLine);
-            });
+    updateSpatialIndex() {
+        // Expects current world matrices; shadows are redrawn only when something changed
+        this.isSpatialIndexStale = false;
+        if (this.spatialIndex.update(this.objects)) {
+            this.renderer.shadowMap.needsUpdate = true;
+        }
+    }
 
-            // Add controller grips for better visual feedback
-            const controllerGrip1 = this.renderer.xr.getControllerGrip(0);
-            const controllerGrip2 = this.renderer.xr.getControllerGrip(1);
-            this.scene.add(controllerGrip1);
-            this.scene.add(controllerGrip2);
-            
-        } catch (error) {
-            console.warn('Controller setup failed:', error);
+    intersectIndexed(raycaster, filter) {
+        // Objects created or deleted since the last frame, such as earlier in a paste, join first
+        if (this.isSpatialIndexStale) {
+            this.scene.updateMatrixWorld();
+            this.updateSpatialIndex();
         }
+        return this.spatialIndex.intersect(raycaster, filter);
     }
 
-    setupLights() {
-        // Ambient light
-        const ambientLight = new THREE.AmbientLight(0x404040, 0.6);
-        this.scene.add(ambientLight);
+    intersectInteractables(raycaster) {
+        // Hidden, locked and peer-held objects can't be clicked, grabbed or deleted by pointing.
+        // Objects are found through the spatial index; the few menu buttons are tested directly
+        const hits = this.intersectIndexed(raycaster, object => this.isInteractable(object));
+        return raycaster.intersectObjects(this.getActiveMenuButtons(), true, hits);
+    }
 
-        // Main directional light
-        const directionalLight = new THREE.DirectionalLight(0xFFFFFF, 1.0);
-        directionalLight.position.set(5, 10, 5);
-        directionalLight.castShadow = true;
-        directionalLight.shadow.mapSize.width = 2048;
-        directionalLight.shadow.mapSize.height = 2048;
-        directionalLight.shadow.camera.near = 0.5;
-        directionalLight.shadow.camera.far = 50;
-        directionalLight.shadow.camera.left = -10;
-        directionalLight.shadow.camera.right = 10;
-        directionalLight.shadow.camera.top = 10;
-        directionalLight.shadow.camera.bottom = -10;
-        this.scene.add(directionalLight);
+    resolveInteractable(object) {
+        // Imported files may carry their own userData, so match by membership
+        let current = object;
+        while (current && !this.objects.includes(current) && !this.menuButtons.includes(current)) {
+            current = current.parent;
+        }
+        return current || object;
+    }
 
-        // Fill light
-        const pointLight = new THREE.PointLight(0xFFFFFF, 0.4, 100);
-        pointLight.position.set(0, 3, 0);
-        pointLight.castShadow = true;
-        this.scene.add(pointLight);
+    setMenuTab(tab) {
+        this.menuTab = tab;
+        this.menuPageIndex = 0;
 
-        // Menu lighting
-        const menuLight = new THREE.SpotLight(0xFFFFFF, 0.8);
-        menuLight.position.set(0, 3, -2);
-        menuLight.target = this.menu;
-        menuLight.angle = Math.PI / 6;
-        menuLight.penumbra = 0.1;
-        this.scene.add(menuLight);
+        this.menuPages.forEach((page, id) => {
+            page.visible = id === tab;
+        });
+        this.createMenuPage.visible = tab === 'create' || tab === 'models';
+        this.refreshCreateMenu();
     }
 
-    onControllerConnected(event, index) {
-        console.log(`Controller ${index} connected:`, event.data);
-        this.inputMethod = 'vr-controllers';
-        this.updateUI();
-        
-        // Show VR instructions
-        document.getElementById('desktop-instructions').classList.add('hidden');
-        document.getElementById('vr-instructions').classList.remove('hidden');
+    changeMenuPage(step) {
+        const pageCount = Math.max(1, Math.ceil(this.getMenuEntries().length / MENU_BUTTONS_PER_PAGE));
+        this.menuPageIndex = (this.menuPageIndex + step + pageCount) % pageCount;
+        this.refreshCreateMenu();
     }
 
-    onControllerDisconnected(index) {
-        console.log(`Controller ${index} disconnected`);
-        if (this.grabbedController === index) {
-            this.onSelectEnd(null, index);
+    getMenuEntries() {
+        if (this.menuTab === 'models') {
+            return [...this.modelLibrary.values()].map(model => ({
+                objectType: `model:${model.id}`,
+                icon: '🧩',
+                label: model.name,
+                color: model.color
+            }));
         }
+
+        return [...this.objectTypes.values()].map(definition => ({
+            objectType: definition.id,
+            icon: definition.icon,
+            label: definition.label,
+            color: definition.color
+        }));
     }
 
-    onSelectStart(event, controllerIndex) {
-        const controller = this.controllers[controllerIndex];
-        if (!controller) return;
+    refreshCreateMenu() {
+        if (!this.createMenuGrid) return;
 
-        const intersections = this.getIntersections(controller);
-        if (intersections.length > 0) {
-            const intersection = intersections[0];
-            const object = intersection.object;
-            this.handleObjectInteraction(object, controller, controllerIndex);
-        }
-    }
+        // Drop the buttons of the previous page
+        [...this.createMenuGrid.children].forEach(button => {
+            this.createMenuGrid.remove(button);
+            this.menuButtons.splice(this.menuButtons.indexOf(button), 1);
+            disposeButton(button);
+        });
 
-    onSelectEnd(event, controllerIndex) {
-        if (this.grabbedController === controllerIndex) {
-            this.releaseObject();
-        }
+        const entries = this.getMenuEntries();
+        const pageCount = Math.max(1, Math.ceil(entries.length / MENU_BUTTONS_PER_PAGE));
+        this.menuPageIndex = Math.min(this.menuPageIndex, pageCount - 1);
+        const start = this.menuPageIndex * MENU_BUTTONS_PER_PAGE;
+
+        const buttons = entries.slice(start, start + MENU_BUTTONS_PER_PAGE).map(({ objectType, icon, label, color }) => {
+            const button = createButton({
+                type: 'menuButton',
+                objectType,
+                icon,
+                label,
+                color,
+                ...MENU_GRID_CELL
+            });
+            this.menuButtons.push(button);
+            this.createMenuGrid.add(button);
+            return button;
+        });
+        layoutGrid(buttons, {
+            columns: MENU_GRID_COLUMNS,
+            top: MENU_PAGE_TOP,
+            gapX: MENU_GRID_GAP,
+            gapY: MENU_GRID_GAP
+        });
+
+        updateButton(this.menuPageLabel, {
+            label: entries.length > 0 ? `${this.menuPageIndex + 1} / ${pageCount}` : 'Nothing here yet'
+        });
+        this.updateMenuStates();
     }
 
-    getIntersections(controller) {
-        const raycaster = new THREE.Raycaster();
-        const tempMatrix = new THREE.Matrix4();
-        
-        tempMatrix.identity().extractRotation(controller.matrixWorld);
-        raycaster.ray.origin.setFromMatrixPosition(controller.matrixWorld);
-        raycaster.ray.direction.set(0, 0, -1).applyMatrix4(tempMatrix);
+    updateMenuStates() {
+        if (!this.menu) return;
 
-        const intersectableObjects = [
-            ...this.objects,
-            ...this.menuButtons
-        ];
+        // Labels, colors and disabled looks that follow the app's state
+        const members = [...this.selection];
+        const pageCount = Math.ceil(this.getMenuEntries().length / MENU_BUTTONS_PER_PAGE);
+        const states = {
+            deleteButton: {
+                label: `Delete: ${this.isDeleteMode ? 'ON' : 'OFF'}`,
+                color: this.isDeleteMode ? 0x00FF00 : 0xFF0000
+            },
+            selectModeButton: {
+                label: `Select: ${this.isSelectMode ? 'ON' : 'OFF'}`,
+                color: SELECT_MODE_COLORS[this.isSelectMode ? 'on' : 'off']
+            },
+            snapButton: {
+                label: `Snap: ${this.snapSettings.enabled ? 'ON' : 'OFF'}`,
+                color: this.snapSettings.enabled ? 0x00FF00 : 0x00ACC1
+            },
+            physicsButton: {
+                label: `Physics: ${this.physicsEnabled ? 'ON' : 'OFF'}`,
+                color: this.physicsEnabled ? 0x00FF00 : 0x1ABC9C
+            },
+            spawnButton: {
+                label: `Spawn: ${MENU_SPAWN_LABELS[this.spawnPolicy]}`,
+                color: SPAWN_POLICY_COLORS[this.spawnPolicy]
+            },
+            constraintButton: {
+                label: `Rotate: ${MENU_CONSTRAINT_LABELS[this.rotationConstraint]}`,
+                color: ROTATION_CONSTRAINT_COLORS[this.rotationConstraint]
+            },
+            menuPlacementButton: {
+                label: `Menu: ${MENU_PLACEMENT_LABELS[this.menuPlacement.mode]}`,
+                color: 0x8D6E63
+            },
+            hapticsButton: {
+                label: `Haptics: ${this.hapticIntensity > 0 ? `${Math.round(this.hapticIntensity * 100)}%` : 'OFF'}`,
+                color: this.hapticIntensity > 0 ? 0xAB47BC : 0x78909C
+            },
+            exportButton: { label: this.pendingVRExport ? 'Export on exit' : 'Export GLB' },
+            undoButton: { disabled: this.undoStack.length === 0 },
+            redoButton: { disabled: this.redoStack.length === 0 },
+            duplicateButton: { disabled: members.length === 0 },
+            groupButton: { disabled: members.length < 2 },
+            ungroupButton: { disabled: !members.some(object => object.userData.objectType === GROUP_TYPE) },
+            menuPageButton: { disabled: pageCount <= 1 }
+        };
 
-        return raycaster.intersectObjects(intersectableObjects);
+        this.menuButtons.forEach(button => {
+            const { type, tab } = button.userData;
+            if (type === 'menuTabButton') {
+                updateButton(button, {
+                    color: tab === this.menuTab ? MENU_TAB_COLORS.active : MENU_TAB_COLORS.inactive,
+                    disabled: tab === 'models' && this.modelLibrary.size === 0 && this.menuTab !== 'models'
+                });
+            } else if (states[type]) {
+                updateButton(button, states[type]);
+            }
+        });
     }
 
-    handleMouseInteraction(event) {
-        // Update mouse position
-        this.mouse.x = (event.clientX / window.innerWidth) * 2 - 1;
-        this.mouse.y = -(event.clientY / window.innerHeight) * 2 + 1;
+    updatePointerHover() {
+        // Buttons and objects light up while a controller ray or the mouse rests on them
+        const hovered = new Map();
 
-        // Update raycaster
-        this.mouseRaycaster.setFromCamera(this.mouse, this.camera);
+        if (this.renderer.xr.isPresenting) {
+            this.controllers.forEach((controller, index) => {
+                const { inputSource, rayLine, cursor } = controller.userData;
+                if (!inputSource || !rayLine) return;
 
-        // Find intersections
-        const intersectableObjects = [
-            ...this.objects,
-            ...this.menuButtons
-        ];
+                this.hoverMatrix.identity().extractRotation(controller.matrixWorld);
+                this.hoverRaycaster.ray.origin.setFromMatrixPosition(controller.matrixWorld);
+                this.hoverRaycaster.ray.direction.set(0, 0, -1).applyMatrix4(this.hoverMatrix);
+                const hit = this.intersectInteractables(this.hoverRaycaster)[0];
 
-        const intersects = this.mouseRaycaster.intersectObjects(intersectableObjects);
+                // The ray stops where it lands, with a dot to show the spot
+                rayLine.scale.z = hit ? hit.distance : RAY_LENGTH;
+                cursor.visible = Boolean(hit);
+                if (hit) {
+                    cursor.position.set(0, 0, -hit.distance);
+                }
 
-        if (intersects.length > 0) {
-            const object = intersects[0].object;
-            this.handleObjectInteraction(object, null, null);
+                const target = hit ? this.resolveInteractable(hit.object) : null;
+                if (target) hovered.set(target, index);
+                this.updateHoverHaptics(controller, index, target);
+            });
+        } else if (!this.isMouseDragging) {
+            this.hoverRaycaster.setFromCamera(this.mouse, this.camera);
+            const hit = this.intersectInteractables(this.hoverRaycaster)[0];
+            if (hit) hovered.set(this.resolveInteractable(hit.object), 'mouse');
+        }
+
+        this.menuButtons.forEach(button => setButtonHovered(button, hovered.has(button)));
+
+        // Held objects keep their grab highlight and peer-held ones their owner's tint;
+        // delete mode warns in red
+        const tint = this.isDeleteMode ? HOVER_TINTS.delete : HOVER_TINTS.normal;
+        this.hoveredObjects.forEach(object => {
+            if (hovered.has(object) || this.grabStartTransforms.has(object) || this.isLockedByPeer(object)) return;
+            if (this.objects.includes(object)) this.setEmissive(object, 0x000000);
+        });
+        this.hoveredObjects.clear();
+        hovered.forEach((source, object) => {
+            if (!this.objects.includes(object)) return;
+            this.hoveredObjects.add(object);
+            if (!this.grabStartTransforms.has(object)) {
+                this.setEmissive(object, tint);
+            }
+        });
+    }
+
+    updateHoverHaptics(controller, index, target) {
+        // A tick when the ray moves onto something new, throttled so sweeping across the menu doesn't buzz
+        if (target === controller.userData.hoverTarget) return;
+        controller.userData.hoverTarget = target;
+        if (!target) return;
+
+        const now = performance.now();
+        if (now - (controller.userData.lastHoverPulse || 0) < HAPTIC_HOVER_INTERVAL) return;
+        controller.userData.lastHoverPulse = now;
+        this.pulseHaptics(index, 'hover');
+    }
+
+    pulseHaptics(source, kind) {
+        // Only controllers vibrate; hands and the mouse have nothing to pulse
+        const controller = typeof source === 'number' ? this.controllers[source] : null;
+        const inputSource = controller && controller.userData.inputSource;
+        const gamepad = inputSource && inputSource.gamepad;
+        const actuator = gamepad && gamepad.hapticActuators && gamepad.hapticActuators[0];
+        if (!actuator || this.hapticIntensity <= 0) return;
+
+        const { intensity, duration } = HAPTIC_PULSES[kind];
+        try {
+            actuator.pulse(Math.min(1, intensity * this.hapticIntensity), duration);
+        } catch (error) {
+            console.warn('Haptic pulse failed:', error);
+        }
+    }
+
+    loadHapticIntensity() {
+        try {
+            const saved = localStorage.getItem(HAPTICS_STORAGE_KEY);
+            const intensity = saved === null ? NaN : Number(saved);
+            return Number.isFinite(intensity) ? THREE.MathUtils.clamp(intensity, 0, 1) : DEFAULT_HAPTIC_INTENSITY;
+        } catch (error) {
+            console.warn('Failed to read haptic intensity:', error);
+            return DEFAULT_HAPTIC_INTENSITY;
+        }
+    }
+
+    setHapticIntensity(intensity) {
+        this.hapticIntensity = THREE.MathUtils.clamp(intensity, 0, 1);
+        try {
+            localStorage.setItem(HAPTICS_STORAGE_KEY, String(this.hapticIntensity));
+        } catch (error) {
+            console.warn('Failed to save haptic intensity:', error);
+        }
+
+        // A sample pulse so the new strength can be felt right away
+        this.controllers.forEach((controller, index) => this.pulseHaptics(index, 'press'));
+        this.updateMenuStates();
+        this.updateHapticsUI();
+    }
+
+    updateHapticsUI() {
+        const percent = Math.round(this.hapticIntensity * 100);
+        const intensityInput = document.getElementById('haptic-intensity');
+        const intensityValue = document.getElementById('haptic-intensity-value');
+        if (intensityInput) intensityInput.value = percent;
+        if (intensityValue) intensityValue.textContent = percent > 0 ? `${percent}%` : 'Off';
+    }
+
+    loadMenuPlacement() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(MENU_PLACEMENT_STORAGE_KEY));
+            const placement = { ...DEFAULT_MENU_PLACEMENT, ...saved };
+            if (!MENU_PLACEMENT_MODES.includes(placement.mode)) {
+                placement.mode = DEFAULT_MENU_PLACEMENT.mode;
+            }
+            return placement;
+        } catch (error) {
+            console.warn('Failed to read menu placement:', error);
+            return { ...DEFAULT_MENU_PLACEMENT };
+        }
+    }
+
+    saveMenuPlacement() {
+        try {
+            localStorage.setItem(MENU_PLACEMENT_STORAGE_KEY, JSON.stringify(this.menuPlacement));
+        } catch (error) {
+            console.warn('Failed to save menu placement:', error);
+        }
+    }
+
+    setMenuPlacementMode(mode) {
+        if (!MENU_PLACEMENT_MODES.includes(mode)) return;
+
+        this.menuPlacement.mode = mode;
+        this.saveMenuPlacement();
+        this.placeMenu();
+
+        // Switching to summon mode from the menu itself shouldn't make it vanish mid-press
+        if (mode === 'summoned' && this.renderer.xr.isPresenting) {
+            this.summonMenu();
+        }
+
+        this.updateMenuStates();
+        this.updateMenuPlacementUI();
+        console.log(`Menu placement: ${mode}`);
+    }
+
+    getOffHandGrip() {
+        const index = this.controllers.findIndex(controller =>
+            controller.userData.inputSource &&
+            controller.userData.inputSource.handedness === MENU_WRIST_HANDEDNESS
+        );
+        return index >= 0 ? this.controllerGrips[index] || null : null;
+    }
+
+    placeMenu() {
+        const menu = this.menu;
+        if (!menu || this.menuDrag) return;
+
+        // Outside VR there is no wrist or summon button, so the menu stays where it was pinned
+        const mode = this.renderer.xr.isPresenting ? this.menuPlacement.mode : 'pinned';
+        const grip = mode === 'wrist' ? this.getOffHandGrip() : null;
+
+        if (grip) {
+            grip.add(menu);
+            menu.position.fromArray(MENU_WRIST_OFFSET);
+            menu.quaternion.setFromAxisAngle(this.menuAxis.set(1, 0, 0), MENU_WRIST_TILT);
+            menu.scale.setScalar(MENU_WRIST_SCALE);
+            menu.visible = true;
+            return;
+        }
+
+        if (mode === 'summoned') {
+            // Waits out of sight until the button brings it over
+            this.scene.add(menu);
+            menu.visible = this.isMenuSummoned;
+            return;
+        }
+
+        const { position, quaternion, scale } = this.menuPlacement;
+        this.scene.add(menu);
+        menu.position.fromArray(position);
+        menu.quaternion.fromArray(quaternion);
+        menu.scale.setScalar(scale);
+        // A wrist menu waits for the off-hand controller to show up
+        menu.visible = mode !== 'wrist';
+    }
+
+    summonMenu() {
+        // Just below eye level in front of the user, turned to face them
+        const menu = this.menu;
+        const head = this.camera.getWorldPosition(this.menuHead);
+        const forward = this.camera.getWorldDirection(this.menuForward).setY(0);
+        if (forward.lengthSq() < 1e-6) {
+            forward.set(0, 0, -1);
+        }
+        forward.normalize();
+
+        this.scene.add(menu);
+        menu.position.copy(head).addScaledVector(forward, MENU_SUMMON_DISTANCE);
+        menu.position.y -= MENU_SUMMON_DROP;
+        menu.lookAt(head.x, menu.position.y, head.z);
+        menu.scale.setScalar(MENU_SUMMON_SCALE);
+        menu.visible = true;
+        this.isMenuSummoned = true;
+    }
+
+    toggleMenuSummon() {
+        const { mode } = this.menuPlacement;
+        if (mode === 'wrist' || this.menuDrag) return;
+
+        // In summon mode the button brings the menu and sends it away again;
+        // a pinned menu is fetched and pinned where it lands
+        if (mode === 'summoned' && this.isMenuSummoned) {
+            this.isMenuSummoned = false;
+            this.menu.visible = false;
+            console.log('Menu dismissed');
+            return;
+        }
+
+        this.summonMenu();
+        if (mode === 'pinned') {
+            this.pinMenu();
+        }
+        console.log('Menu summoned');
+    }
+
+    pinMenu() {
+        const menu = this.menu;
+        menu.updateWorldMatrix(true, false);
+        menu.matrixWorld.decompose(this.menuHead, this.menuQuaternion, this.menuScale);
+
+        this.menuPlacement.position = this.menuHead.toArray();
+        this.menuPlacement.quaternion = this.menuQuaternion.toArray();
+        this.menuPlacement.scale = this.menuScale.x;
+        this.saveMenuPlacement();
+    }
+
+    startMenuDrag(controller, source) {
+        // Only hands and controllers can carry the menu
+        if (!controller || !this.renderer.xr.isPresenting || this.menuDrag) return;
+
+        this.menuDrag = { source };
+        controller.attach(this.menu);
+        console.log('Carrying the menu');
+    }
+
+    endMenuDrag(source) {
+        if (!this.menuDrag || this.menuDrag.source !== source) return;
+
+        // Wherever it's let go, the menu stays pinned; one pulled off the wrist grows to a readable size
+        this.menuDrag = null;
+        this.scene.attach(this.menu);
+        if (this.menu.scale.x < MENU_SUMMON_SCALE) {
+            this.menu.scale.setScalar(MENU_SUMMON_SCALE);
+        }
+        this.pinMenu();
+        if (this.menuPlacement.mode !== 'pinned') {
+            this.setMenuPlacementMode('pinned');
+        }
+        console.log('Menu pinned');
+    }
+
+    updateMenuPlacementUI() {
+        const placementSelect = document.getElementById('menu-placement');
+        if (placementSelect) placementSelect.value = this.menuPlacement.mode;
+    }
+
+    registerObjectType(definition) {
+        const { id, geometryFactory } = definition;
+
+        if (!id || typeof geometryFactory !== 'function') {
+            throw new Error('Object types need an id and a geometryFactory');
+        }
+        if (id.startsWith('model:') || id === GROUP_TYPE) {
+            throw new Error(`Object type id "${id}" is reserved`);
+        }
+        if (this.objectTypes.has(id)) {
+            throw new Error(`Object type "${id}" is already registered`);
+        }
+        if (definition.hotkey) {
+            const owner = [...this.objectTypes.values()].find(type => type.hotkey === definition.hotkey);
+            if (owner || KEY_ACTIONS.some(action => action.key === definition.hotkey)) {
+                throw new Error(`Hotkey ${definition.hotkey} is already in use`);
+            }
+        }
+
+        const objectType = {
+            label: id,
+            icon: '🔷',
+            color: 0xFFFFFF,
+            defaultScale: 1,
+            hotkey: null,
+            materialFactory: null,
+            ...definition
+        };
+        this.objectTypes.set(id, objectType);
+
+        // The hotkey is only a default; a saved binding or one the user moved onto that key wins
+        const action = `create:${id}`;
+        if (objectType.hotkey && !(action in this.keyBindings)) {
+            const current = this.getKeyAction(objectType.hotkey);
+            if (current) {
+                console.warn(`${objectType.label} hotkey ${objectType.hotkey} is bound to ${current}, leaving it unbound`);
+            }
+            this.keyBindings[action] = current ? null : objectType.hotkey;
+        }
+
+        // Types registered after startup still reach the menus
+        this.addObjectTypeButton(objectType);
+        this.refreshCreateMenu();
+        return objectType;
+    }
+
+    registerBuiltInObjectTypes() {
+        const builtIns = [
+            {
+                id: 'cube', label: 'Cube', icon: '📦', color: 0xFF6B6B, hotkey: 'KeyC',
+                geometryFactory: () => new THREE.BoxGeometry(0.5, 0.5, 0.5)
+            },
+            {
+                id: 'sphere', label: 'Sphere', icon: '⚪', color: 0x4ECDC4, hotkey: 'KeyO',
+                geometryFactory: () => new THREE.SphereGeometry(0.25, 16, 12)
+            },
+            {
+                id: 'cylinder', label: 'Cylinder', icon: '🗄️', color: 0x45B7D1,
+                geometryFactory: () => new THREE.CylinderGeometry(0.25, 0.25, 0.5, 16)
+            },
+            {
+                id: 'cone', label: 'Cone', icon: '🔺', color: 0xF39C12,
+                geometryFactory: () => new THREE.ConeGeometry(0.25, 0.5, 16)
+            },
+            {
+                id: 'torus', label: 'Torus', icon: '🍩', color: 0x9B59B6, hotkey: 'KeyT',
+                geometryFactory: () => new THREE.TorusGeometry(0.25, 0.1, 8, 16)
+            },
+            {
+                id: 'tetrahedron', label: 'Tetrahedron', icon: '💎', color: 0x2ECC71,
+                geometryFactory: () => new THREE.TetrahedronGeometry(0.3)
+            },
+            {
+                id: 'plane', label: 'Plane', icon: '⬜', color: 0xBDC3C7,
+                // Flat panel lying on the floor plane
+                geometryFactory: () => new THREE.BoxGeometry(0.6, 0.02, 0.6)
+            },
+            {
+                id: 'capsule', label: 'Capsule', icon: '💊', color: 0xE74C3C,
+                geometryFactory: () => new THREE.CapsuleGeometry(0.15, 0.3, 4, 16)
+            },
+            {
+                id: 'ring', label: 'Ring', icon: '⭕', color: 0xF1C40F,
+                geometryFactory: () => new THREE.TorusGeometry(0.25, 0.03, 8, 32)
+            },
+            {
+                id: 'dodecahedron', label: 'Dodecahedron', icon: '🎲', color: 0x1ABC9C,
+                geometryFactory: () => new THREE.DodecahedronGeometry(0.25)
+            },
+            {
+                id: 'text', label: 'Text Label', icon: '🔤', color: 0xFFFFFF,
+                geometryFactory: () => new THREE.PlaneGeometry(0.8, 0.2),
+                materialFactory: (color) => new THREE.MeshLambertMaterial({
+                    color,
+                    map: this.createTextTexture('Label'),
+                    transparent: true,
+                    side: THREE.DoubleSide
+                })
+            }
+        ];
+
+        builtIns.forEach(definition => this.registerObjectType(definition));
+    }
+
+    createTextTexture(text) {
+        const canvas = document.createElement('canvas');
+        canvas.width = 512;
+        canvas.height = 128;
+
+        const context = canvas.getContext('2d');
+        context.fillStyle = 'rgba(20, 20, 20, 0.85)';
+        context.fillRect(0, 0, canvas.width, canvas.height);
+        context.fillStyle = '#FFFFFF';
+        context.font = 'bold 72px sans-serif';
+        context.textAlign = 'center';
+        context.textBaseline = 'middle';
+        context.fillText(text, canvas.width / 2, canvas.height / 2, canvas.width - 32);
+
+        const texture = new THREE.CanvasTexture(canvas);
+        texture.colorSpace = THREE.SRGBColorSpace;
+        return texture;
+    }
+
+    addObjectTypeButton(objectType) {
+        const container = document.querySelector('#desktop-creation .creation-buttons');
+        if (!container) return;
+
+        const button = document.createElement('button');
+        button.className = 'btn btn--sm create-btn';
+        button.dataset.type = objectType.id;
+        button.textContent = `${objectType.icon} ${objectType.label}`;
+        button.title = this.getCreateButtonTitle(objectType);
+        button.addEventListener('click', () => {
+            this.createObject(objectType.id, null, this.getPointerSpawn());
+            console.log(`Desktop button clicked: ${objectType.id}`);
+        });
+
+        // Keep the mode toggles after the create buttons
+        container.insertBefore(button, document.getElementById('toggle-delete'));
+    }
+
+    async setupVR() {
+        // Only setup VR if WebXR is supported
+        if (!this.webXRSupported) {
+            console.log('WebXR not supported, using desktop fallback');
+            return;
+        }
+
+        try {
+            // Enable XR on renderer
+            this.renderer.xr.enabled = true;
+
+            // Create VR button only if VR sessions are supported
+            if (this.vrSessionAvailable) {
+                const vrButton = VRButton.createButton(this.renderer, {
+                    onUnsupported: () => {
+                        console.log('VR not supported');
+                        this.showVRError('VR headset not detected or not supported');
+                    }
+                });
+                document.body.appendChild(vrButton);
+                console.log('VR button created and added to DOM');
+            } else {
+                console.log('VR sessions not available, no VR button created');
+            }
+
+            // AR passthrough button beside the VR one
+            if (this.arSessionAvailable && !document.getElementById('ARButton')) {
+                const arButton = ARButton.createButton(this.renderer, {
+                    optionalFeatures: [...AR_SESSION_FEATURES]
+                });
+                document.body.appendChild(arButton);
+                console.log('AR button created and added to DOM');
+            }
+
+            // Setup controllers
+            await this.setupControllers();
+            this.createARReticles();
+            
+        } catch (error) {
+            console.error('VR setup failed:', error);
+            this.showVRError('Failed to initialize VR: ' + error.message);
+        }
+    }
+
+    async setupControllers() {
+        if (!this.renderer.xr) return;
+
+        try {
+            // Controller 1
+            const controller1 = this.renderer.xr.getController(0);
+            controller1.addEventListener('selectstart', (e) => this.onSelectStart(e, 0));
+            controller1.addEventListener('selectend', (e) => this.onSelectEnd(e, 0));
+            controller1.addEventListener('squeezestart', (e) => this.onSqueezeStart(e, 0));
+            controller1.addEventListener('squeezeend', (e) => this.onSqueezeEnd(e, 0));
+            controller1.addEventListener('connected', (e) => this.onControllerConnected(e, 0));
+            controller1.addEventListener('disconnected', () => this.onControllerDisconnected(0));
+            this.controllers.push(controller1);
+            this.cameraRig.add(controller1);
+
+            // Controller 2
+            const controller2 = this.renderer.xr.getController(1);
+            controller2.addEventListener('selectstart', (e) => this.onSelectStart(e, 1));
+            controller2.addEventListener('selectend', (e) => this.onSelectEnd(e, 1));
+            controller2.addEventListener('squeezestart', (e) => this.onSqueezeStart(e, 1));
+            controller2.addEventListener('squeezeend', (e) => this.onSqueezeEnd(e, 1));
+            controller2.addEventListener('connected', (e) => this.onControllerConnected(e, 1));
+            controller2.addEventListener('disconnected', () => this.onControllerDisconnected(1));
+            this.controllers.push(controller2);
+            this.cameraRig.add(controller2);
+
+            // Add visual ray indicators, shortened each frame to whatever they point at
+            this.controllers.forEach(controller => {
+                const line = new THREE.BufferGeometry().setFromPoints([
+                    new THREE.Vector3(0, 0, 0),
+                    new THREE.Vector3(0, 0, -1)
+                ]);
+                const rayLine = new THREE.Line(line, new THREE.LineBasicMaterial({ 
+                    color: 0x00FFFF,
+                    linewidth: 2
+                }));
+                rayLine.scale.z = RAY_LENGTH;
+                controller.add(rayLine);
+
+                const cursor = new THREE.Mesh(
+                    new THREE.SphereGeometry(RAY_CURSOR_RADIUS, 12, 8),
+                    new THREE.MeshBasicMaterial({ color: 0xFFFFFF })
+                );
+                cursor.visible = false;
+                controller.add(cursor);
+
+                controller.userData.rayLine = rayLine;
+                controller.userData.cursor = cursor;
+                controller.userData.hoverTarget = null;
+                controller.userData.pressedButtons = new Set();
+            });
+
+            // Add controller grips showing the model of the connected controller,
+            // fetched from the WebXR input profiles by the factory
+            const controllerModelFactory = new XRControllerModelFactory();
+            const controllerGrip1 = this.renderer.xr.getControllerGrip(0);
+            const controllerGrip2 = this.renderer.xr.getControllerGrip(1);
+            controllerGrip1.add(controllerModelFactory.createControllerModel(controllerGrip1));
+            controllerGrip2.add(controllerModelFactory.createControllerModel(controllerGrip2));
+            this.cameraRig.add(controllerGrip1);
+            this.cameraRig.add(controllerGrip2);
+            this.controllerGrips.push(controllerGrip1, controllerGrip2);
+            
+            this.setupHands();
+            
+        } catch (error) {
+            console.warn('Controller setup failed:', error);
+        }
+    }
+
+    setupHands() {
+        if (this.hands.length > 0) return;
+
+        // VRButton requests the 'hand-tracking' optional feature, so hand input
+        // sources show up alongside controllers when the headset supports them
+        const handModelFactory = new XRHandModelFactory();
+
+        [0, 1].forEach(index => {
+            const hand = this.renderer.xr.getHand(index);
+            hand.userData.active = false;
+            hand.userData.pokedButton = null;
+
+            // Joint-based sphere model, no mesh download required
+            hand.add(handModelFactory.createHandModel(hand, 'spheres'));
+
+            hand.addEventListener('connected', (e) => {
+                hand.userData.active = Boolean(e.data.hand);
+            });
+            hand.addEventListener('disconnected', () => this.onHandDisconnected(index));
+            hand.addEventListener('pinchstart', () => this.onPinchStart(index));
+            hand.addEventListener('pinchend', () => this.onPinchEnd(index));
+
+            this.hands.push(hand);
+            this.cameraRig.add(hand);
+        });
+    }
+
+    createARReticles() {
+        if (!this.arSessionAvailable || this.arReticles.length > 0) return;
+
+        // One ring per controller or hand ray, laid flat on the surface it hits
+        this.arReticles = [0, 1].map(() => {
+            const reticle = new THREE.Mesh(
+                new THREE.RingGeometry(0.06, 0.08, 32).rotateX(-Math.PI / 2),
+                new THREE.MeshBasicMaterial({ color: AR_RETICLE_COLOR })
+            );
+            reticle.matrixAutoUpdate = false;
+            reticle.visible = false;
+            // Hit poses are in the XR reference space, which is the rig's local space
+            this.cameraRig.add(reticle);
+            return reticle;
+        });
+    }
+
+    startARSession() {
+        this.isARSession = true;
+
+        // Passthrough shows the real room, so hide the virtual one
+        this.arSavedEnvironment = { background: this.scene.background, fog: this.scene.fog };
+        this.scene.background = null;
+        this.scene.fog = null;
+        this.room.visible = false;
+        document.querySelector('#vr-overlay .vr-text').textContent = '🕶️ AR Passthrough Active';
+
+        // Virtual content lines up with the real room from where the session starts.
+        // The renderer's 'local-floor' space, one of AR_SESSION_FEATURES, already
+        // puts the platform, tables and menu at the same heights as in VR
+        this.resetCameraRig();
+    }
+
+    endARSession() {
+        this.isARSession = false;
+
+        if (this.arSavedEnvironment) {
+            this.scene.background = this.arSavedEnvironment.background;
+            this.scene.fog = this.arSavedEnvironment.fog;
+            this.arSavedEnvironment = null;
+        }
+        this.room.visible = true;
+        document.querySelector('#vr-overlay .vr-text').textContent = '🥽 VR Mode Active';
+
+        // Hit-test sources and anchors end with the session; objects stay where they are
+        [...this.arHitTestSources.keys()].forEach(index => this.clearARHitTest(index));
+        this.arAnchors.clear();
+        this.pendingARAnchors.clear();
+    }
+
+    requestARHitTest(session, index, inputSource) {
+        // Mark as pending so each frame doesn't ask again
+        this.arHitTestSources.set(index, null);
+        if (!session.requestHitTestSource) return;
+
+        session.requestHitTestSource({ space: inputSource.targetRaySpace })
+            .then(source => {
+                // The session or controller may have gone while we waited
+                const controller = this.controllers[index];
+                if (!this.isARSession || !controller || controller.userData.inputSource !== inputSource) {
+                    source.cancel();
+                    return;
+                }
+                this.arHitTestSources.set(index, source);
+            })
+            .catch(error => console.warn(`Hit test unavailable for controller ${index}:`, error));
+    }
+
+    clearARHitTest(index) {
+        const source = this.arHitTestSources.get(index);
+        if (source) source.cancel();
+        this.arHitTestSources.delete(index);
+
+        const reticle = this.arReticles[index];
+        if (reticle) reticle.visible = false;
+    }
+
+    updateAR(frame) {
+        const referenceSpace = this.renderer.xr.getReferenceSpace();
+
+        // Reticles where controller rays meet real surfaces, unless the ray is on something virtual
+        this.controllers.forEach((controller, index) => {
+            const inputSource = controller.userData.inputSource;
+            const reticle = this.arReticles[index];
+            if (!inputSource || !reticle) return;
+
+            if (!this.arHitTestSources.has(index)) {
+                this.requestARHitTest(frame.session, index, inputSource);
+            }
+
+            const source = this.arHitTestSources.get(index);
+            const hit = source ? frame.getHitTestResults(source)[0] : null;
+            const pose = hit ? hit.getPose(referenceSpace) : null;
+            reticle.visible = Boolean(pose) && this.getIntersections(controller).length === 0;
+            if (pose) {
+                reticle.matrix.fromArray(pose.transform.matrix);
+            }
+        });
+
+        // Anchors can only be created during a frame, so placements queue up until the next one
+        if (this.pendingARAnchors.size > 0 && frame.createAnchor) {
+            this.pendingARAnchors.forEach(object => {
+                const { x, y, z } = this.cameraRig.worldToLocal(object.position.clone());
+                frame.createAnchor(new XRRigidTransform({ x, y, z }), referenceSpace)
+                    .then(anchor => {
+                        if (!this.isARSession || !this.objects.includes(object)) {
+                            anchor.delete();
+                            return;
+                        }
+                        this.arAnchors.set(object, anchor);
+                    })
+                    .catch(error => console.warn('Failed to anchor object:', error));
+            });
+        }
+        this.pendingARAnchors.clear();
+
+        // Follow anchor corrections as the headset's map of the room improves
+        this.arAnchors.forEach((anchor, object) => {
+            if (!frame.trackedAnchors || !frame.trackedAnchors.has(anchor)) return;
+
+            const pose = frame.getPose(anchor.anchorSpace, referenceSpace);
+            if (!pose) return;
+
+            const { x, y, z } = pose.transform.position;
+            this.cameraRig.localToWorld(this.arAnchorPosition.set(x, y, z));
+            if (this.arAnchorPosition.distanceTo(object.position) > AR_ANCHOR_TOLERANCE) {
+                object.position.copy(this.arAnchorPosition);
+                this.physics.resetBody(object);
+            }
+        });
+    }
+
+    placeAtReticle(index) {
+        // Pointing at a real surface in passthrough places another of the last created type
+        const reticle = this.arReticles[index];
+        if (!this.isARSession || !reticle || !reticle.visible) return;
+        if (this.isDeleteMode || this.isSelectMode) return;
+
+        const point = new THREE.Vector3().setFromMatrixPosition(reticle.matrixWorld);
+        this.createObject(this.lastCreatedType, null, { point, mode: 'reticle' });
+    }
+
+    detachARAnchor(object) {
+        const anchor = this.arAnchors.get(object);
+        if (anchor) {
+            anchor.delete();
+            this.arAnchors.delete(object);
+        }
+        this.pendingARAnchors.delete(object);
+    }
+
+    createLocomotionHelpers() {
+        // Teleport arc, redrawn each frame while aiming
+        const arcGeometry = new THREE.BufferGeometry();
+        arcGeometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array((TELEPORT_ARC_SEGMENTS + 1) * 3), 3));
+        this.teleportArc = new THREE.Line(arcGeometry, new THREE.LineBasicMaterial({ color: TELEPORT_COLORS.valid }));
+        this.teleportArc.frustumCulled = false;
+        this.teleportArc.visible = false;
+        this.scene.add(this.teleportArc);
+
+        // Landing marker laid flat where the arc meets the floor
+        this.teleportMarker = new THREE.Mesh(
+            new THREE.RingGeometry(0.2, 0.28, 32).rotateX(-Math.PI / 2),
+            new THREE.MeshBasicMaterial({ color: TELEPORT_COLORS.valid, transparent: true, opacity: 0.8 })
+        );
+        this.teleportMarker.visible = false;
+        this.scene.add(this.teleportMarker);
+
+        // Comfort vignette just in front of the eyes, clear in the middle and dark at the edges
+        const canvas = document.createElement('canvas');
+        canvas.width = canvas.height = 256;
+        const context = canvas.getContext('2d');
+        const gradient = context.createRadialGradient(128, 128, 40, 128, 128, 128);
+        gradient.addColorStop(0, 'rgba(0, 0, 0, 0)');
+        gradient.addColorStop(1, 'rgba(0, 0, 0, 1)');
+        context.fillStyle = gradient;
+        context.fillRect(0, 0, canvas.width, canvas.height);
+
+        this.vignette = new THREE.Mesh(
+            new THREE.PlaneGeometry(0.6, 0.6),
+            new THREE.MeshBasicMaterial({
+                map: new THREE.CanvasTexture(canvas),
+                transparent: true,
+                opacity: 0,
+                depthTest: false,
+                depthWrite: false
+            })
+        );
+        this.vignette.position.z = -0.2;
+        this.vignette.renderOrder = 1000;
+        this.vignette.visible = false;
+        this.camera.add(this.vignette);
+    }
+
+    loadLocomotionSettings() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(LOCOMOTION_STORAGE_KEY));
+            return { ...DEFAULT_LOCOMOTION_SETTINGS, ...saved };
+        } catch (error) {
+            console.warn('Failed to read locomotion settings:', error);
+            return { ...DEFAULT_LOCOMOTION_SETTINGS };
+        }
+    }
+
+    setLocomotionSettings(settings) {
+        Object.assign(this.locomotionSettings, settings);
+        if (!TURN_MODES.includes(this.locomotionSettings.turnMode)) {
+            this.locomotionSettings.turnMode = DEFAULT_LOCOMOTION_SETTINGS.turnMode;
+        }
+
+        try {
+            localStorage.setItem(LOCOMOTION_STORAGE_KEY, JSON.stringify(this.locomotionSettings));
+        } catch (error) {
+            console.warn('Failed to save locomotion settings:', error);
+        }
+        this.updateLocomotionUI();
+    }
+
+    updateLocomotionUI() {
+        const { moveSpeed, turnMode, snapTurnAngle, vignette } = this.locomotionSettings;
+        const speedInput = document.getElementById('move-speed');
+        const speedValue = document.getElementById('move-speed-value');
+        const turnSelect = document.getElementById('turn-mode');
+        const snapInput = document.getElementById('snap-turn-angle');
+        const vignetteToggle = document.getElementById('comfort-vignette');
+
+        if (speedInput) speedInput.value = moveSpeed;
+        if (speedValue) speedValue.textContent = `${moveSpeed.toFixed(1)} m/s`;
+        if (turnSelect) turnSelect.value = turnMode;
+        if (snapInput) {
+            snapInput.value = snapTurnAngle;
+            snapInput.disabled = turnMode !== 'snap';
+        }
+        if (vignetteToggle) vignetteToggle.checked = vignette;
+    }
+
+    resetCameraRig() {
+        this.cameraRig.position.set(0, 0, 0);
+        this.cameraRig.rotation.set(0, 0, 0);
+        this.cancelTeleport();
+    }
+
+    getThumbstick(controller) {
+        const inputSource = controller.userData.inputSource;
+        const gamepad = inputSource && inputSource.gamepad;
+        if (!gamepad) return null;
+
+        // xr-standard puts the thumbstick on axes 2 and 3; older touchpad-only pads use 0 and 1
+        const axes = gamepad.axes;
+        const x = axes.length >= 4 ? axes[2] : (axes[0] || 0);
+        const y = axes.length >= 4 ? axes[3] : (axes[1] || 0);
+        return {
+            x: Math.abs(x) > THUMBSTICK_DEADZONE ? x : 0,
+            y: Math.abs(y) > THUMBSTICK_DEADZONE ? y : 0
+        };
+    }
+
+    getHeadingVectors() {
+        // Forward and right along the floor, following where the head faces
+        this.camera.getWorldDirection(this.locomotionForward);
+        this.locomotionForward.y = 0;
+        if (this.locomotionForward.lengthSq() < 1e-6) {
+            this.locomotionForward.set(0, 0, -1);
+        }
+        this.locomotionForward.normalize();
+        this.locomotionRight.crossVectors(this.locomotionForward, this.camera.up).normalize();
+    }
+
+    getLocomotionMove(strafe, forward) {
+        this.getHeadingVectors();
+        this.locomotionMove
+            .copy(this.locomotionRight).multiplyScalar(strafe)
+            .addScaledVector(this.locomotionForward, forward);
+        if (this.locomotionMove.lengthSq() > 1) {
+            this.locomotionMove.normalize();
+        }
+        return this.locomotionMove;
+    }
+
+    moveCameraRig(strafe, forward, distance) {
+        this.cameraRig.position.addScaledVector(this.getLocomotionMove(strafe, forward), distance);
+        this.keepHeadInRoom();
+        this.settleRigOnFloor();
+    }
+
+    walkOrbitCamera(strafe, forward, distance) {
+        // OrbitControls looks at its target as a world point, so the camera and
+        // target walk together and the rig stays where VR left it
+        const target = this.controls.target;
+        const start = this.locomotionHead.copy(target);
+        const startFloor = this.getFloorHeight(start);
+
+        // The target rather than the camera stays in the room, since the camera may orbit outside it
+        const { width, depth } = this.room.userData.size;
+        const limitX = width / 2 - ROOM_WALL_MARGIN;
+        const limitZ = depth / 2 - ROOM_WALL_MARGIN;
+        target.addScaledVector(this.getLocomotionMove(strafe, forward), distance);
+        target.x = THREE.MathUtils.clamp(target.x, -limitX, limitX);
+        target.z = THREE.MathUtils.clamp(target.z, -limitZ, limitZ);
+
+        // Step up onto the platform and back down as the target passes over it
+        const endFloor = this.getFloorHeight(target);
+        if (startFloor !== null && endFloor !== null) {
+            target.y += endFloor - startFloor;
+        }
+
+        const offset = start.subVectors(target, start);
+        const cameraPosition = this.camera.getWorldPosition(this.locomotionCamera).add(offset);
+        this.camera.position.copy(this.cameraRig.worldToLocal(cameraPosition));
+    }
+
+    keepHeadInRoom() {
+        // Walls stop the rig, wherever the user stands within their play space
+        const { width, depth } = this.room.userData.size;
+        const head = this.camera.getWorldPosition(this.locomotionHead);
+        const limitX = width / 2 - ROOM_WALL_MARGIN;
+        const limitZ = depth / 2 - ROOM_WALL_MARGIN;
+        this.cameraRig.position.x += THREE.MathUtils.clamp(head.x, -limitX, limitX) - head.x;
+        this.cameraRig.position.z += THREE.MathUtils.clamp(head.z, -limitZ, limitZ) - head.z;
+    }
+
+    getFloorHeight(point) {
+        // Height of the floor or platform straight below a point, or null over neither
+        this.arcRaycaster.set(point, this.arcSegment.set(0, -1, 0));
+        this.arcRaycaster.far = Infinity;
+        const hit = this.arcRaycaster.intersectObjects([this.floor, this.platform], false)[0];
+        return hit ? hit.point.y : null;
+    }
+
+    settleRigOnFloor() {
+        // Step up onto the platform and back down as the head passes over it
+        const floorHeight = this.getFloorHeight(this.camera.getWorldPosition(this.locomotionHead));
+        if (floorHeight !== null) {
+            this.cameraRig.position.y = floorHeight;
+        }
+    }
+
+    turnCameraRig(angle) {
+        // Rotate around the head rather than the rig origin so the view doesn't swing sideways
+        const head = this.camera.getWorldPosition(this.locomotionHead);
+        this.cameraRig.position.sub(head).applyAxisAngle(this.camera.up, angle).add(head);
+        this.cameraRig.rotation.y += angle;
+    }
+
+    updateLocomotion(delta) {
+        let isMoving = false;
+
+        if (this.renderer.xr.isPresenting) {
+            // The real room is the world in passthrough, so the rig stays put
+            if (this.isARSession) return;
+
+            this.controllers.forEach((controller, index) => {
+                const stick = this.getThumbstick(controller);
+                if (!stick) return;
+
+                // Which stick does what comes from the controller mapping
+                const role = this.getThumbstickRole(controller, index);
+                if (role !== 'turn' && this.teleportController === index) {
+                    this.cancelTeleport();
+                }
+
+                if (role === 'walk') {
+                    if (stick.x !== 0 || stick.y !== 0) {
+                        this.moveCameraRig(stick.x, -stick.y, this.locomotionSettings.moveSpeed * delta);
+                        isMoving = true;
+                    }
+                } else if (role === 'turn') {
+                    // Turns sideways and aims a teleport when pushed forward
+                    isMoving = this.updateTurning(stick.x, delta) || isMoving;
+                    this.updateTeleportAim(controller, index, stick.y);
+                }
+            });
+        } else {
+            // Desktop keys walk the orbit camera and its target, or fly the camera in fly mode
+            let strafe = 0;
+            let forward = 0;
+            let up = 0;
+            this.heldKeyActions.forEach(action => {
+                const move = MOVE_ACTIONS[action];
+                if (!move) return;
+                strafe += move[0];
+                forward += move[1];
+                up += move[2];
+            });
+
+            const sprint = this.heldKeyActions.has('sprint') ? SPRINT_MULTIPLIER : 1;
+            const distance = this.locomotionSettings.moveSpeed * sprint * delta;
+            if (this.cameraMode === 'fly') {
+                if (strafe !== 0 || forward !== 0 || up !== 0) {
+                    this.flyCamera(strafe, forward, up, distance);
+                }
+            } else if (strafe !== 0 || forward !== 0) {
+                this.walkOrbitCamera(strafe, forward, distance);
+            }
+        }
+
+        this.updateVignette(isMoving, delta);
+    }
+
+    updateTurning(x, delta) {
+        const { turnMode, snapTurnAngle, smoothTurnSpeed } = this.locomotionSettings;
+
+        if (turnMode === 'smooth') {
+            if (x === 0) return false;
+            this.turnCameraRig(-x * THREE.MathUtils.degToRad(smoothTurnSpeed) * delta);
+            return true;
+        }
+
+        // One snap per push; the stick has to come back to centre before the next
+        if (Math.abs(x) < SNAP_TURN_RESET) {
+            this.snapTurnArmed = true;
+        } else if (this.snapTurnArmed && Math.abs(x) > SNAP_TURN_THRESHOLD) {
+            this.snapTurnArmed = false;
+            this.turnCameraRig(-Math.sign(x) * THREE.MathUtils.degToRad(snapTurnAngle));
+        }
+        return false;
+    }
+
+    updateTeleportAim(controller, index, y) {
+        const isAiming = y < -TELEPORT_AIM_THRESHOLD;
+
+        if (isAiming && (this.teleportController === null || this.teleportController === index)) {
+            this.teleportController = index;
+            this.updateTeleportArc(controller);
+            return;
+        }
+
+        // Letting the stick go lands on a valid target
+        if (this.teleportController === index && Math.abs(y) < SNAP_TURN_RESET) {
+            if (this.teleportTarget) {
+                this.teleportTo(this.teleportTarget);
+            }
+            this.cancelTeleport();
+        }
+    }
+
+    updateTeleportArc(controller) {
+        controller.updateWorldMatrix(true, false);
+        const origin = this.arcOrigin.setFromMatrixPosition(controller.matrixWorld);
+        const velocity = this.arcVelocity.set(0, 0, -1)
+            .transformDirection(controller.matrixWorld)
+            .multiplyScalar(TELEPORT_ARC_SPEED);
+
+        // Anything solid can stop the arc, but only the floor and platform take a landing
+        const surfaces = [this.floor, this.platform, ...this.tables];
+        const isVisible = object => object.visible;
+        const positions = this.teleportArc.geometry.attributes.position;
+        const previous = this.arcPrevious.copy(origin);
+        positions.setXYZ(0, origin.x, origin.y, origin.z);
+
+        let hit = null;
+        let count = 1;
+        for (let i = 1; i <= TELEPORT_ARC_SEGMENTS && !hit; i++) {
+            const t = i * TELEPORT_ARC_STEP;
+            const point = this.arcPoint.copy(origin).addScaledVector(velocity, t);
+            point.y -= 4.9 * t * t;
+
+            const segment = this.arcSegment.subVectors(point, previous);
+            const length = segment.length();
+            this.arcRaycaster.set(previous, segment.divideScalar(length));
+            this.arcRaycaster.far = length;
+            const hits = this.intersectIndexed(this.arcRaycaster, isVisible);
+            hit = this.arcRaycaster.intersectObjects(surfaces, true, hits)[0] || null;
+
+            const end = hit ? hit.point : point;
+            positions.setXYZ(i, end.x, end.y, end.z);
+            previous.copy(point);
+            count = i + 1;
+        }
+        positions.needsUpdate = true;
+        this.teleportArc.geometry.setDrawRange(0, count);
+        this.teleportArc.visible = true;
+
+        const isFloor = hit && (hit.object === this.floor || hit.object === this.platform);
+        const isFacingUp = hit && hit.face &&
+            this.arcNormal.copy(hit.face.normal).transformDirection(hit.object.matrixWorld).y > 0.7;
+        this.teleportTarget = isFloor && isFacingUp ? this.arcLanding.copy(hit.point) : null;
+
+        const color = this.teleportTarget ? TELEPORT_COLORS.valid : TELEPORT_COLORS.invalid;
+        this.teleportArc.material.color.setHex(color);
+        this.teleportMarker.material.color.setHex(color);
+        this.teleportMarker.visible = Boolean(hit);
+        if (hit) {
+            this.teleportMarker.position.copy(hit.point);
+            this.teleportMarker.position.y += 0.005;
+        }
+    }
+
+    teleportTo(point) {
+        // Land the head, not the rig origin, on the target so the user's spot in their play space carries over
+        const head = this.camera.getWorldPosition(this.locomotionHead);
+        this.cameraRig.position.x += point.x - head.x;
+        this.cameraRig.position.z += point.z - head.z;
+        this.cameraRig.position.y = point.y;
+
+        // A blink of vignette hides the jump
+        if (this.locomotionSettings.vignette) {
+            this.vignetteStrength = 1;
+        }
+        console.log(`Teleported to (${point.x.toFixed(2)}, ${point.z.toFixed(2)})`);
+    }
+
+    cancelTeleport() {
+        this.teleportController = null;
+        this.teleportTarget = null;
+        if (this.teleportArc) this.teleportArc.visible = false;
+        if (this.teleportMarker) this.teleportMarker.visible = false;
+    }
+
+    updateVignette(isMoving, delta) {
+        const target = isMoving && this.locomotionSettings.vignette && this.renderer.xr.isPresenting ? 1 : 0;
+        const step = VIGNETTE_FADE_SPEED * delta;
+        this.vignetteStrength += THREE.MathUtils.clamp(target - this.vignetteStrength, -step, step);
+
+        this.vignette.material.opacity = this.vignetteStrength * VIGNETTE_OPACITY;
+        this.vignette.visible = this.vignetteStrength > 0.01;
+    }
+
+    isPointerLocked() {
+        return document.pointerLockElement === this.renderer.domElement;
+    }
+
+    setCameraMode(mode) {
+        if (!CAMERA_MODES.includes(mode) || mode === this.cameraMode) return;
+
+        this.cameraMode = mode;
+        if (mode === 'fly') {
+            this.syncFlyView();
+        } else {
+            if (this.isPointerLocked()) {
+                document.exitPointerLock();
+            }
+
+            // Orbit around a point just ahead of where the fly camera was looking,
+            // in world space as OrbitControls expects
+            const forward = this.camera.getWorldDirection(this.locomotionForward);
+            this.camera.getWorldPosition(this.controls.target).addScaledVector(forward, FLY_ORBIT_DISTANCE);
+            this.controls.update();
+        }
+
+        this.controls.enabled = mode === 'orbit';
+        this.updateCameraModeUI();
+        console.log(`Desktop camera: ${mode}`);
+    }
+
+    syncFlyView() {
+        // Pick up the view wherever orbiting or the headset left it, upright and inside the room
+        this.flyEuler.setFromQuaternion(this.camera.quaternion, 'YXZ');
+        this.flyEuler.x = THREE.MathUtils.clamp(this.flyEuler.x, -FLY_MAX_PITCH, FLY_MAX_PITCH);
+        this.flyEuler.z = 0;
+        this.camera.quaternion.setFromEuler(this.flyEuler);
+        this.setFlyCameraPosition(this.camera.getWorldPosition(this.locomotionHead));
+    }
+
+    onFlyLook(event) {
+        if (this.cameraMode !== 'fly' || !this.isPointerLocked()) return;
+
+        this.flyEuler.y -= event.movementX * FLY_LOOK_SENSITIVITY;
+        this.flyEuler.x = THREE.MathUtils.clamp(
+            this.flyEuler.x - event.movementY * FLY_LOOK_SENSITIVITY,
+            -FLY_MAX_PITCH,
+            FLY_MAX_PITCH
+        );
+        this.camera.quaternion.setFromEuler(this.flyEuler);
+    }
+
+    flyCamera(strafe, forward, up, distance) {
+        // Fly where the camera looks; up and down go straight along the world axis
+        this.camera.getWorldDirection(this.locomotionForward);
+        this.locomotionRight.crossVectors(this.locomotionForward, this.camera.up).normalize();
+        this.flyMove
+            .copy(this.locomotionRight).multiplyScalar(strafe)
+            .addScaledVector(this.locomotionForward, forward);
+        this.flyMove.y += up;
+        if (this.flyMove.lengthSq() > 1) {
+            this.flyMove.normalize();
+        }
+
+        const head = this.camera.getWorldPosition(this.locomotionHead);
+        this.setFlyCameraPosition(head.addScaledVector(this.flyMove, distance));
+    }
+
+    setFlyCameraPosition(point) {
+        // The camera moves inside the rig, so the rig keeps its place for VR
+        const { width, height, depth } = this.room.userData.size;
+        const limitX = width / 2 - ROOM_WALL_MARGIN;
+        const limitZ = depth / 2 - ROOM_WALL_MARGIN;
+        point.x = THREE.MathUtils.clamp(point.x, -limitX, limitX);
+        point.y = THREE.MathUtils.clamp(point.y, FLY_FLOOR_CLEARANCE, height - ROOM_WALL_MARGIN);
+        point.z = THREE.MathUtils.clamp(point.z, -limitZ, limitZ);
+        this.camera.position.copy(this.cameraRig.worldToLocal(point));
+    }
+
+    updateCameraModeUI() {
+        const isFly = this.cameraMode === 'fly';
+        const toggle = document.getElementById('toggle-camera-mode');
+        const crosshair = document.getElementById('fly-crosshair');
+
+        if (toggle) {
+            toggle.textContent = isFly ? '🕹️ Camera: Fly' : '🎥 Camera: Orbit';
+            toggle.classList.toggle('btn--primary', isFly);
+            toggle.classList.toggle('btn--outline', !isFly);
+        }
+        if (crosshair) crosshair.classList.toggle('hidden', !this.isPointerLocked());
+    }
+
+    loadKeyBindings() {
+        const defaults = Object.fromEntries(KEY_ACTIONS.map(action => [action.id, action.key]));
+        try {
+            const saved = JSON.parse(localStorage.getItem(KEY_BINDINGS_STORAGE_KEY));
+            return { ...defaults, ...saved };
+        } catch (error) {
+            console.warn('Failed to read key bindings:', error);
+            return defaults;
+        }
+    }
+
+    saveKeyBindings() {
+        try {
+            localStorage.setItem(KEY_BINDINGS_STORAGE_KEY, JSON.stringify(this.keyBindings));
+        } catch (error) {
+            console.warn('Failed to save key bindings:', error);
+        }
+    }
+
+    getKeyAction(code) {
+        return Object.keys(this.keyBindings).find(action => this.keyBindings[action] === code) || null;
+    }
+
+    getKeyActionLabel(action) {
+        if (action.startsWith('create:')) {
+            const objectType = this.objectTypes.get(action.slice('create:'.length));
+            return `Create ${objectType ? objectType.label : action.slice('create:'.length)}`;
+        }
+        const definition = KEY_ACTIONS.find(candidate => candidate.id === action);
+        return definition ? definition.label : action;
+    }
+
+    formatKeyCode(code) {
+        if (!code) return '—';
+        return code.replace(/^(Key|Digit)/, '').replace(/(Left|Right)$/, ' ($1)');
+    }
+
+    setKeyBinding(action, code) {
+        // A key drives a single action, so whatever had it before is left unbound
+        const previous = this.getKeyAction(code);
+        if (previous && previous !== action) {
+            this.keyBindings[previous] = null;
+            console.log(`${this.getKeyActionLabel(previous)} is now unbound`);
+        }
+
+        this.keyBindings[action] = code;
+        this.heldKeyActions.clear();
+        this.saveKeyBindings();
+        this.updateCreateButtonTitles();
+        console.log(`${this.getKeyActionLabel(action)} bound to ${this.formatKeyCode(code)}`);
+    }
+
+    resetKeyBindings() {
+        this.keyBindings = Object.fromEntries(KEY_ACTIONS.map(action => [action.id, action.key]));
+        this.objectTypes.forEach(objectType => {
+            if (objectType.hotkey) {
+                this.keyBindings[`create:${objectType.id}`] = objectType.hotkey;
+            }
+        });
+
+        this.rebindingAction = null;
+        this.heldKeyActions.clear();
+        this.saveKeyBindings();
+        this.updateCreateButtonTitles();
+        this.renderKeyBindings();
+        console.log('Key bindings reset to defaults');
+    }
+
+    startRebinding(action) {
+        this.rebindingAction = this.rebindingAction === action ? null : action;
+        this.renderKeyBindings();
+    }
+
+    finishRebinding(code) {
+        // Escape backs out and keeps the old key
+        const action = this.rebindingAction;
+        this.rebindingAction = null;
+        if (code !== 'Escape') {
+            this.setKeyBinding(action, code);
+        }
+        this.renderKeyBindings();
+    }
+
+    renderKeyBindings() {
+        const list = document.getElementById('keybindings-list');
+        if (!list) return;
+
+        // Built-in actions first, then a create row for every object type with a hotkey slot
+        const actions = [
+            ...KEY_ACTIONS.map(action => action.id),
+            ...[...this.objectTypes.keys()]
+                .map(id => `create:${id}`)
+                .filter(action => action in this.keyBindings)
+        ];
+
+        list.replaceChildren(...actions.map(action => {
+            const row = document.createElement('tr');
+            const label = document.createElement('td');
+            label.textContent = this.getKeyActionLabel(action);
+
+            const keyCell = document.createElement('td');
+            const button = document.createElement('button');
+            const isListening = this.rebindingAction === action;
+            button.className = 'btn btn--sm btn--outline keybinding-key';
+            button.classList.toggle('is-listening', isListening);
+            button.textContent = isListening ? 'Press a key…' : this.formatKeyCode(this.keyBindings[action]);
+            button.addEventListener('click', () => this.startRebinding(action));
+            keyCell.appendChild(button);
+
+            row.append(label, keyCell);
+            return row;
+        }));
+    }
+
+    toggleKeyBindings(show) {
+        const panel = document.getElementById('keybindings');
+        if (!panel) return;
+
+        const visible = show === undefined ? panel.classList.contains('hidden') : show;
+        panel.classList.toggle('hidden', !visible);
+        this.rebindingAction = null;
+        if (visible) {
+            this.renderKeyBindings();
+        }
+    }
+
+    getCreateButtonTitle(objectType) {
+        const key = this.keyBindings[`create:${objectType.id}`];
+        return key ? `${objectType.label} (${this.formatKeyCode(key)})` : objectType.label;
+    }
+
+    updateCreateButtonTitles() {
+        document.querySelectorAll('#desktop-creation .create-btn').forEach(button => {
+            const objectType = this.objectTypes.get(button.dataset.type);
+            if (objectType) {
+                button.title = this.getCreateButtonTitle(objectType);
+            }
+        });
+    }
+
+    setupLights() {
+        // Ambient light
+        const ambientLight = new THREE.AmbientLight(0x404040, 0.6);
+        this.scene.add(ambientLight);
+
+        // Main directional light, the only shadow caster; its map size follows the quality level
+        const directionalLight = new THREE.DirectionalLight(0xFFFFFF, 1.0);
+        directionalLight.position.set(5, 10, 5);
+        directionalLight.castShadow = true;
+        directionalLight.shadow.camera.near = 0.5;
+        directionalLight.shadow.camera.far = 50;
+        directionalLight.shadow.camera.left = -10;
+        directionalLight.shadow.camera.right = 10;
+        directionalLight.shadow.camera.top = 10;
+        directionalLight.shadow.camera.bottom = -10;
+        this.scene.add(directionalLight);
+        this.sunLight = directionalLight;
+
+        // Fill light. A point light shadow renders the scene six times, so it casts none
+        const pointLight = new THREE.PointLight(0xFFFFFF, 0.4, 100);
+        pointLight.position.set(0, 3, 0);
+        this.scene.add(pointLight);
+
+        this.setQualityLevel(0);
+    }
+
+    onControllerConnected(event, index) {
+        console.log(`Controller ${index} connected:`, event.data);
+        this.controllers[index].userData.inputSource = event.data;
+        this.inputMethod = event.data && event.data.hand ? 'vr-hands' : 'vr-controllers';
+        this.placeMenu();
+        this.updateUI();
+        
+        // Show VR instructions
+        document.getElementById('desktop-instructions').classList.add('hidden');
+        document.getElementById('vr-instructions').classList.remove('hidden');
+    }
+
+    onControllerDisconnected(index) {
+        console.log(`Controller ${index} disconnected`);
+        this.controllers[index].userData.inputSource = null;
+        this.clearARHitTest(index);
+        this.endMenuDrag(index);
+        this.placeMenu();
+        this.endInspectorDrag(index);
+        this.releaseObject(index);
+    }
+
+    onSelectStart(event, controllerIndex) {
+        // Hands also emit select on pinch; those are handled by onPinchStart
+        if (event && event.data && event.data.hand) return;
+
+        const controller = this.controllers[controllerIndex];
+        if (!controller) return;
+        this.onControllerAction(this.getControllerMapping(controller).select, controllerIndex, true);
+    }
+
+    onSelectEnd(event, controllerIndex) {
+        if (event && event.data && event.data.hand) return;
+
+        const controller = this.controllers[controllerIndex];
+        if (!controller) return;
+        this.onControllerAction(this.getControllerMapping(controller).select, controllerIndex, false);
+    }
+
+    onSqueezeStart(event, controllerIndex) {
+        if (event && event.data && event.data.hand) return;
+
+        const controller = this.controllers[controllerIndex];
+        if (!controller) return;
+        this.onControllerAction(this.getControllerMapping(controller).squeeze, controllerIndex, true);
+    }
+
+    onSqueezeEnd(event, controllerIndex) {
+        if (event && event.data && event.data.hand) return;
+
+        const controller = this.controllers[controllerIndex];
+        if (!controller) return;
+        this.onControllerAction(this.getControllerMapping(controller).squeeze, controllerIndex, false);
+    }
+
+    getControllerMapping(controller) {
+        // The first input profile with its own mapping wins, most specific first
+        const inputSource = controller.userData.inputSource;
+        const profiles = (inputSource && inputSource.profiles) || [];
+        const profile = profiles.find(name => CONTROLLER_MAPPINGS[name]);
+        return profile ? CONTROLLER_MAPPINGS[profile] : DEFAULT_CONTROLLER_MAPPING;
+    }
+
+    getThumbstickRole(controller, index) {
+        const mapping = this.getControllerMapping(controller);
+        if (this.grabs.has(index) && mapping.thumbstick.held) {
+            return mapping.thumbstick.held;
+        }
+        return mapping.thumbstick[controller.userData.inputSource.handedness] || null;
+    }
+
+    updateControllerInput(delta) {
+        this.controllers.forEach((controller, index) => {
+            const inputSource = controller.userData.inputSource;
+            const gamepad = inputSource && !inputSource.hand && inputSource.gamepad;
+            if (!gamepad) return;
+
+            // Button actions fire on the press and the release, not every frame in between
+            const { buttons } = this.getControllerMapping(controller);
+            const pressedButtons = controller.userData.pressedButtons;
+            Object.entries(buttons).forEach(([button, action]) => {
+                const pressed = Boolean(gamepad.buttons[button] && gamepad.buttons[button].pressed);
+                if (pressed === pressedButtons.has(button)) return;
+
+                if (pressed) {
+                    pressedButtons.add(button);
+                } else {
+                    pressedButtons.delete(button);
+                }
+                this.onControllerAction(action, index, pressed);
+            });
+
+            if (this.getThumbstickRole(controller, index) === 'pushPull') {
+                const stick = this.getThumbstick(controller);
+                if (stick && stick.y !== 0) {
+                    this.pushPullGrab(index, -stick.y * GRAB_PUSH_SPEED * delta);
+                }
+            }
+        });
+    }
+
+    onControllerAction(action, index, pressed) {
+        switch (action) {
+            case 'activate':
+                if (pressed) {
+                    this.activateWithRay(index);
+                } else {
+                    this.endMenuDrag(index);
+                    this.endInspectorDrag(index);
+                }
+                return;
+            case 'grab':
+                if (pressed) {
+                    this.grabWithRay(index);
+                } else {
+                    this.endMenuDrag(index);
+                    this.releaseObject(index);
+                }
+                return;
+        }
+
+        // The rest are one-shot commands on the press
+        if (!pressed) return;
+
+        switch (action) {
+            case 'toggleDelete':
+                this.isDeleteMode = !this.isDeleteMode;
+                this.updateDeleteMode();
+                break;
+            case 'undo':
+                this.undo();
+                break;
+            case 'redo':
+                this.redo();
+                break;
+            case 'duplicate': {
+                // Copies the selection, including an object held by this controller
+                const held = this.grabs.get(index);
+                if (held && !this.selection.has(held.object)) {
+                    this.selectObject(held.object);
+                }
+                this.duplicateSelection();
+                break;
+            }
+            case 'toggleMenu':
+                this.toggleMenuSummon();
+                break;
+            default:
+                console.warn('Unknown controller action:', action);
+                return;
+        }
+        this.pulseHaptics(index, 'press');
+    }
+
+    activateWithRay(index) {
+        const controller = this.controllers[index];
+        if (!controller) return;
+
+        // Menus, tools and modes; objects are selected rather than picked up
+        const intersection = this.getIntersections(controller)[0];
+        if (intersection) {
+            this.handleObjectInteraction(intersection.object, controller, index, intersection.point, false);
+        } else {
+            this.placeAtReticle(index);
+        }
+    }
+
+    grabWithRay(index) {
+        const controller = this.controllers[index];
+        const intersection = controller && this.getIntersections(controller)[0];
+        if (!intersection) return;
+
+        // Grabbing ignores select and delete mode, and reaches the menu only by its handle
+        const object = this.resolveInteractable(intersection.object);
+        if (object.userData.type === 'menuHandle') {
+            this.startMenuDrag(controller, index);
+        } else if (this.objects.includes(object)) {
+            this.grabObject(object, controller, index);
+        }
+    }
+
+    pushPullGrab(index, distance) {
+        const grab = this.grabs.get(index);
+        if (!grab || this.twoHandGestures.has(grab.object)) return;
+
+        // The ray as seen from the grab offset, which is stored before the controller's rotation
+        this.getAnchorPose(this.controllers[index]);
+        const rotation = this.getConstrainedGrabRotation(grab, this.grabDelta).invert();
+        const direction = this.pushDirection.set(0, 0, -1)
+            .applyQuaternion(this.anchorQuaternion)
+            .applyQuaternion(rotation);
+
+        const along = grab.offset.dot(direction);
+        const target = THREE.MathUtils.clamp(along + distance, GRAB_PUSH_RANGE.min, GRAB_PUSH_RANGE.max);
+        grab.offset.addScaledVector(direction, target - along);
+    }
+
+    onHandDisconnected(index) {
+        const hand = this.hands[index];
+        hand.userData.active = false;
+        hand.userData.pokedButton = null;
+
+        this.endMenuDrag(`hand-${index}`);
+        this.endInspectorDrag(`hand-${index}`);
+        this.releaseObject(`hand-${index}`);
+    }
+
+    getPinchPoint(hand, target) {
+        const indexTip = hand.joints['index-finger-tip'];
+        const thumbTip = hand.joints['thumb-tip'];
+        if (!indexTip || !thumbTip) return null;
+
+        indexTip.getWorldPosition(target);
+        return target.add(thumbTip.getWorldPosition(this.pokePoint)).multiplyScalar(0.5);
+    }
+
+    onPinchStart(index) {
+        const hand = this.hands[index];
+        const source = `hand-${index}`;
+        const anchor = this.getGrabAnchor(source);
+        if (!anchor) return;
+
+        // Near grab: pinching inside an object picks it directly
+        const pinchPoint = this.getPinchPoint(hand, this.pinchPoint);
+        if (pinchPoint) {
+            const touched = this.objects.find(object => 
+                this.isInteractable(object) &&
+                this.pinchBox.setFromObject(object).expandByScalar(PINCH_GRAB_MARGIN).containsPoint(pinchPoint)
+            );
+            if (touched) {
+                this.handleObjectInteraction(touched, anchor, source);
+                return;
+            }
+        }
+
+        // Far grab: use the hand's target ray
+        const targetRay = this.controllers[index];
+        if (!targetRay) return;
+
+        const intersections = this.getIntersections(targetRay);
+        if (intersections.length > 0) {
+            this.handleObjectInteraction(intersections[0].object, anchor, source, intersections[0].point);
+        } else {
+            this.placeAtReticle(index);
+        }
+    }
+
+    onPinchEnd(index) {
+        this.endMenuDrag(`hand-${index}`);
+        this.endInspectorDrag(`hand-${index}`);
+        this.releaseObject(`hand-${index}`);
+    }
+
+    updateHandPokes() {
+        this.hands.forEach(hand => {
+            if (!hand.userData.active) return;
+
+            const indexTip = hand.joints['index-finger-tip'];
+            if (!indexTip) return;
+
+            indexTip.getWorldPosition(this.pokePoint);
+
+            // Find a menu button the fingertip is pressing through
+            const poked = this.getActiveMenuButtons().find(button => {
+                const local = button.worldToLocal(this.pinchPoint.copy(this.pokePoint));
+                // Round controls are poked within their bounding square
+                const { radius = 0, width = radius * 2, height = radius * 2 } = button.geometry.parameters;
+                // The depth is in meters however small the wrist menu is scaled
+                const scale = button.getWorldScale(this.pokeScale).z;
+                return Math.abs(local.z) * scale < POKE_DEPTH &&
+                    Math.abs(local.x) <= width / 2 &&
+                    Math.abs(local.y) <= height / 2;
+            }) || null;
+
+            // Trigger once per touch, not every frame the finger stays inside
+            if (poked && poked !== hand.userData.pokedButton) {
+                this.handleObjectInteraction(poked, null, null, this.pokePoint);
+            }
+            hand.userData.pokedButton = poked;
+        });
+    }
+
+    getGrabAnchor(source) {
+        if (typeof source === 'string' && source.startsWith('hand-')) {
+            const hand = this.hands[Number(source.slice(5))];
+            return (hand && hand.joints['wrist']) || null;
+        }
+        return this.controllers[source] || null;
+    }
+
+    getIntersections(controller) {
+        const raycaster = this.controllerRaycaster;
+        
+        this.controllerRayMatrix.identity().extractRotation(controller.matrixWorld);
+        raycaster.ray.origin.setFromMatrixPosition(controller.matrixWorld);
+        raycaster.ray.direction.set(0, 0, -1).applyMatrix4(this.controllerRayMatrix);
+
+        return this.intersectInteractables(raycaster);
+    }
+
+    updateMouseRay(event) {
+        // Update mouse position; with the pointer locked the crosshair in the middle aims
+        if (this.isPointerLocked()) {
+            this.mouse.set(0, 0);
+        } else {
+            this.mouse.x = (event.clientX / window.innerWidth) * 2 - 1;
+            this.mouse.y = -(event.clientY / window.innerHeight) * 2 + 1;
+        }
+
+        // Update raycaster
+        this.mouseRaycaster.setFromCamera(this.mouse, this.camera);
+    }
+
+    handleMouseInteraction(event) {
+        if (event.button !== 0 || this.renderer.xr.isPresenting) return;
+
+        // In fly mode the first click captures the mouse for looking around
+        if (this.cameraMode === 'fly' && !this.isPointerLocked()) {
+            this.renderer.domElement.requestPointerLock();
+            return;
+        }
+
+        this.updateMouseRay(event);
+
+        // Find intersections
+        const intersects = this.intersectInteractables(this.mouseRaycaster);
+        const hit = intersects.length > 0 ? this.resolveInteractable(intersects[0].object) : null;
+
+        // Shift-click toggles objects in the selection, shift-drag on empty
+        // space draws a selection box (or a lasso with Alt held too)
+        if (event.shiftKey && (!hit || this.objects.includes(hit))) {
+            if (hit) {
+                this.toggleSelection(hit);
+            } else if (!this.isPointerLocked()) {
+                this.startMarqueeSelect(event);
+            }
+            return;
+        }
+
+        if (intersects.length > 0) {
+            const object = intersects[0].object;
+            this.handleObjectInteraction(object, null, 'mouse');
+
+            // A desktop grab turns into a drag until the pointer is released
+            if (this.grabs.has('mouse')) {
+                this.startMouseDrag(event);
+            }
+        }
+    }
+
+    startMouseDrag(event) {
+        this.isMouseDragging = true;
+        this.dragPointerId = event.pointerId;
+        // A locked pointer already sends every move to the canvas and can't be captured
+        if (!this.isPointerLocked()) {
+            this.renderer.domElement.setPointerCapture(event.pointerId);
+        }
+
+        // Suspend orbiting so the camera stays put while dragging
+        this.controls.enabled = false;
+
+        this.updateDragPlane(event.altKey);
+    }
+
+    updateDragPlane(cameraFacing) {
+        const grab = this.grabs.get('mouse');
+        const normal = new THREE.Vector3(0, 1, 0);
+        if (cameraFacing) {
+            this.camera.getWorldDirection(normal).negate();
+        }
+
+        this.dragPlane.setFromNormalAndCoplanarPoint(normal, grab.object.position);
+        this.dragPlaneCameraFacing = cameraFacing;
+
+        // Keep the object at the same offset from the cursor on the new plane
+        if (this.mouseRaycaster.ray.intersectPlane(this.dragPlane, this.dragPoint)) {
+            grab.offset.copy(grab.object.position).sub(this.dragPoint);
+        } else {
+            grab.offset.set(0, 0, 0);
+        }
+    }
+
+    onMouseDragMove(event) {
+        const grab = this.grabs.get('mouse');
+        if (!this.isMouseDragging || event.pointerId !== this.dragPointerId || !grab) return;
+
+        // Alt drags on a camera-facing plane, otherwise parallel to the floor
+        if (event.altKey !== this.dragPlaneCameraFacing) {
+            this.updateDragPlane(event.altKey);
+        }
+
+        if (!this.mouseRaycaster.ray.intersectPlane(this.dragPlane, this.dragPoint)) return;
+
+        const position = grab.object.position;
+        position.copy(this.dragPoint).add(grab.offset);
+
+        // Stay inside the room and above ground
+        position.x = THREE.MathUtils.clamp(position.x, -4.75, 4.75);
+        position.z = THREE.MathUtils.clamp(position.z, -4.75, 4.75);
+        position.y = THREE.MathUtils.clamp(position.y, 0.25, 3.75);
+    }
+
+    endMouseDrag(event) {
+        if (!this.isMouseDragging) return;
+        if (event && event.pointerId !== this.dragPointerId) return;
+
+        const canvas = this.renderer.domElement;
+        if (canvas.hasPointerCapture(this.dragPointerId)) {
+            canvas.releasePointerCapture(this.dragPointerId);
+        }
+
+        this.isMouseDragging = false;
+        this.dragPointerId = null;
+        this.controls.enabled = this.cameraMode === 'orbit';
+        this.releaseObject('mouse');
+    }
+
+    startMarqueeSelect(event) {
+        this.marquee = {
+            pointerId: event.pointerId,
+            lasso: event.altKey,
+            points: [[event.clientX, event.clientY]]
+        };
+        this.renderer.domElement.setPointerCapture(event.pointerId);
+
+        // Suspend orbiting while the selection shape is drawn
+        this.controls.enabled = false;
+        this.updateMarqueeShape();
+    }
+
+    onMarqueeMove(event) {
+        const marquee = this.marquee;
+        if (!marquee || event.pointerId !== marquee.pointerId) return;
+
+        // A lasso collects the whole path, a box only needs the far corner
+        const point = [event.clientX, event.clientY];
+        if (marquee.lasso) {
+            marquee.points.push(point);
+        } else {
+            marquee.points[1] = point;
+        }
+        this.updateMarqueeShape();
+    }
+
+    getMarqueePolygon() {
+        const { points, lasso } = this.marquee;
+        if (lasso || points.length < 2) return points;
+
+        const [[x1, y1], [x2, y2]] = points;
+        return [[x1, y1], [x2, y1], [x2, y2], [x1, y2]];
+    }
+
+    updateMarqueeShape() {
+        const overlay = document.getElementById('marquee-overlay');
+        const shape = document.getElementById('marquee-shape');
+        if (!overlay || !shape) return;
+
+        overlay.classList.toggle('hidden', !this.marquee);
+        if (this.marquee) {
+            shape.setAttribute('points', this.getMarqueePolygon().map(point => point.join(',')).join(' '));
+        }
+    }
+
+    endMarqueeSelect(event) {
+        const marquee = this.marquee;
+        if (!marquee) return;
+        if (event && event.pointerId !== marquee.pointerId) return;
+
+        const canvas = this.renderer.domElement;
+        if (canvas.hasPointerCapture(marquee.pointerId)) {
+            canvas.releasePointerCapture(marquee.pointerId);
+        }
+        this.controls.enabled = this.cameraMode === 'orbit';
+
+        const polygon = this.getMarqueePolygon();
+        this.marquee = null;
+        this.updateMarqueeShape();
+        if (polygon.length < 3) return;
+
+        // Objects whose centers land inside the shape join the selection
+        const rect = canvas.getBoundingClientRect();
+        const bounds = new THREE.Box3();
+        const center = new THREE.Vector3();
+        const inside = this.objects.filter(object => {
+            if (!object.visible) return false;
+            bounds.setFromObject(object).getCenter(center).project(this.camera);
+            if (center.z > 1) return false; // Behind the camera
+
+            const x = rect.left + (center.x + 1) / 2 * rect.width;
+            const y = rect.top + (1 - center.y) / 2 * rect.height;
+            return this.isPointInPolygon(x, y, polygon);
+        });
+
+        this.setSelection([...this.selection, ...inside]);
+        console.log(`${marquee.lasso ? 'Lasso' : 'Box'} selected ${inside.length} objects`);
+    }
+
+    isPointInPolygon(x, y, polygon) {
+        // Even-odd rule: count edges crossed by a ray towards +x
+        let inside = false;
+        for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+            const [xi, yi] = polygon[i];
+            const [xj, yj] = polygon[j];
+            if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) {
+                inside = !inside;
+            }
+        }
+        return inside;
+    }
+
+    handleObjectInteraction(object, controller, controllerIndex, point = null, allowGrab = true) {
+        // Raycasts hit the meshes inside imported models; act on the model itself
+        object = this.resolveInteractable(object);
+
+        // Disabled buttons still catch the ray so it doesn't reach objects behind them
+        if (object.userData.disabled) return;
+
+        if (this.menuButtons.includes(object)) {
+            this.pulseHaptics(controllerIndex, 'press');
+        }
+
+        // Inspector sliders and the color wheel follow the ray while held
+        if (object.userData.type === 'inspectorSlider' || object.userData.type === 'inspectorColorWheel') {
+            if (point) {
+                this.setInspectorControlValue(object, point);
+            }
+            if (controllerIndex === null || controllerIndex === undefined) {
+                this.commitPropertyEdit();
+            } else {
+                this.inspectorDrags.set(controllerIndex, object);
+            }
+            return;
+        }
+
+        if (object.userData.type === 'inspectorButton') {
+            this.highlightButton(object);
+            this.onInspectorButton(object.userData.action);
+            return;
+        }
+
+        // Handle menu interactions
+        if (object.userData.type === 'menuButton') {
+            this.highlightButton(object);
+            this.createObject(object.userData.objectType, null, this.getMenuSpawn(controllerIndex));
+            return;
+        }
+
+        if (object.userData.type === 'menuHandle') {
+            this.startMenuDrag(controller, controllerIndex);
+            return;
+        }
+
+        if (object.userData.type === 'menuPlacementButton') {
+            this.highlightButton(object);
+            const index = MENU_PLACEMENT_MODES.indexOf(this.menuPlacement.mode);
+            this.setMenuPlacementMode(MENU_PLACEMENT_MODES[(index + 1) % MENU_PLACEMENT_MODES.length]);
+            return;
+        }
+
+        if (object.userData.type === 'hapticsButton') {
+            this.highlightButton(object);
+            // Steps down from full strength to off, then back up
+            const next = HAPTIC_INTENSITY_STEPS.find(step => step < this.hapticIntensity - 0.001);
+            this.setHapticIntensity(next !== undefined ? next : HAPTIC_INTENSITY_STEPS[0]);
+            return;
+        }
+
+        if (object.userData.type === 'menuTabButton') {
+            this.highlightButton(object);
+            this.setMenuTab(object.userData.tab);
+            return;
+        }
+
+        if (object.userData.type === 'menuPageButton') {
+            this.highlightButton(object);
+            this.changeMenuPage(object.userData.step);
+            return;
+        }
+
+        if (object.userData.type === 'exportButton') {
+            this.highlightButton(object);
+            this.queueVRExport();
+            return;
+        }
+
+        if (object.userData.type === 'spawnButton') {
+            this.highlightButton(object);
+            const index = SPAWN_POLICIES.indexOf(this.spawnPolicy);
+            this.setSpawnPolicy(SPAWN_POLICIES[(index + 1) % SPAWN_POLICIES.length]);
+            return;
+        }
+
+        if (object.userData.type === 'deleteButton') {
+            this.highlightButton(object);
+            this.isDeleteMode = !this.isDeleteMode;
+            this.updateDeleteMode();
+            return;
+        }
+
+        if (object.userData.type === 'physicsButton') {
+            this.highlightButton(object);
+            this.setPhysicsEnabled(!this.physicsEnabled);
+            return;
+        }
+
+        if (object.userData.type === 'snapButton') {
+            this.highlightButton(object);
+            this.setSnapSettings({ enabled: !this.snapSettings.enabled });
+            return;
+        }
+
+        if (object.userData.type === 'constraintButton') {
+            this.highlightButton(object);
+            this.cycleRotationConstraint();
+            return;
+        }
+
+        if (object.userData.type === 'undoButton') {
+            this.highlightButton(object);
+            this.undo();
+            return;
+        }
+
+        if (object.userData.type === 'redoButton') {
+            this.highlightButton(object);
+            this.redo();
+            return;
+        }
+
+        if (object.userData.type === 'selectModeButton') {
+            this.highlightButton(object);
+            this.setSelectMode(!this.isSelectMode);
+            return;
+        }
+
+        if (object.userData.type === 'duplicateButton') {
+            this.highlightButton(object);
+            this.duplicateSelection();
+            return;
+        }
+
+        if (object.userData.type === 'groupButton') {
+            this.highlightButton(object);
+            this.groupSelection();
+            return;
+        }
+
+        if (object.userData.type === 'ungroupButton') {
+            this.highlightButton(object);
+            this.ungroupSelection();
+            return;
+        }
+
+        // Handle object interactions
+        if (this.isSelectMode && object.userData.type === 'interactable') {
+            this.toggleSelection(object);
+            return;
+        }
+
+        if (this.isDeleteMode && object.userData.type === 'interactable') {
+            this.pulseHaptics(controllerIndex, 'delete');
+
+            // Deleting part of a multi-selection deletes all of it
+            if (this.selection.has(object) && this.selection.size > 1) {
+                this.deleteSelection();
+            } else {
+                this.deleteObject(object);
+            }
+            return;
+        }
+
+        if (object.userData.type === 'interactable') {
+            if (allowGrab) {
+                this.grabObject(object, controller, controllerIndex);
+            } else {
+                // Controllers grab with the grip, so the trigger picks objects for the inspector
+                this.selectObject(object);
+            }
+        }
+    }
+
+    highlightButton(button) {
+        // Flash the pressed button; hovering is handled every frame by updatePointerHover
+        flashButton(button);
+    }
+
+    createPrimitive(type, state) {
+        const objectType = this.objectTypes.get(type);
+        if (!objectType) return null;
+
+        const material = objectType.materialFactory ?
+            objectType.materialFactory(objectType.color) :
+            new THREE.MeshLambertMaterial({ color: objectType.color });
+
+        const object = new THREE.Mesh(this.getSharedGeometry(objectType), material);
+        if (state && state.material) {
+            this.applyMaterialProperties(object, state.material);
+        }
+        if (Array.isArray(objectType.defaultScale)) {
+            object.scale.fromArray(objectType.defaultScale);
+        } else {
+            object.scale.setScalar(objectType.defaultScale);
+        }
+        return object;
+    }
+
+    getSharedGeometry(objectType) {
+        // Every object of a type draws the same geometry, so it's built once and
+        // never freed. Materials stay per object for their own color and highlight.
+        if (!this.sharedGeometries.has(objectType.id)) {
+            this.sharedGeometries.set(objectType.id, objectType.geometryFactory());
+        }
+        return this.sharedGeometries.get(objectType.id);
+    }
+
+    buildGroup(state) {
+        if (!state || !Array.isArray(state.children)) return null;
+
+        // Member transforms are stored relative to the group
+        const group = new THREE.Group();
+        state.children.forEach(childState => {
+            const child = this.buildObject(childState.type, childState);
+            if (child) group.add(child);
+        });
+        return group.children.length > 0 ? group : null;
+    }
+
+    buildObject(type, state = null) {
+        let object;
+        if (type === GROUP_TYPE) {
+            object = this.buildGroup(state);
+        } else if (type.startsWith('model:')) {
+            object = this.instantiateModel(type.slice(6));
+        } else {
+            object = this.createPrimitive(type, state);
+        }
+        if (!object) return null;
+        
+        if (state) {
+            // Restore saved transform
+            object.position.fromArray(state.position);
+            object.quaternion.fromArray(state.quaternion);
+            object.scale.fromArray(state.scale);
+        }
+        
+        // Enable shadows
+        object.traverse(child => {
+            child.castShadow = true;
+            child.receiveShadow = true;
+        });
+        
+        object.name = state && state.name ? state.name : this.generateObjectName(this.getObjectTypeLabel(type));
+        object.visible = !(state && state.hidden);
+        
+        // Set user data
+        object.userData = { 
+            type: 'interactable',
+            objectType: type,
+            id: state && state.id !== undefined ? state.id : this.generateObjectId(),
+            created: state && state.created ? new Date(state.created) : new Date(),
+            locked: Boolean(state && state.locked)
+        };
+        return object;
+    }
+
+    generateObjectId() {
+        // Random UUIDs stay unique across rapid creates and other tabs; ids
+        // from older saves are kept as they are
+        return THREE.MathUtils.generateUUID();
+    }
+
+    generateObjectName(baseName) {
+        // Next free number after the base, so "Cube 2" follows "Cube 1"
+        const base = baseName.replace(/ \d+$/, '');
+        const escaped = base.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const pattern = new RegExp(`^${escaped}(?: (\\d+))?$`);
+        let highest = 0;
+        this.objects.forEach(object => {
+            const match = pattern.exec(object.name);
+            if (match) highest = Math.max(highest, Number(match[1] || 1));
+        });
+        return `${base} ${highest + 1}`;
+    }
+
+    createObject(type, state = null, spawn = null) {
+        const object = this.buildObject(type, state);
+        if (!object) {
+            console.warn(`Unknown object type: ${type}`);
+            return null;
+        }
+        
+        if (!state) {
+            this.placeNewObject(object, spawn);
+            this.lastCreatedType = type;
+        }
+
+        this.objects.push(object);
+        this.scene.add(object);
+        
+        // Hidden objects stay out of the physics world, locked ones are pinned
+        if (object.visible) {
+            this.physics.addBody(object);
+            this.physics.setHeld(object, object.userData.locked);
+        }
+        
+        if (!state) {
+            this.applyPlacementSnapping(object);
+        }
+        this.isSpatialIndexStale = true;
+        
+        if (!this.isRestoringScene) {
+            const created = this.serializeObject(object);
+            this.recordCommand({
+                label: `create ${type}`,
+                undo: () => this.deleteObject(this.findObjectById(created.id)),
+                redo: () => this.createObject(created.type, created)
+            });
+            this.broadcastCreate(created);
+        }
+        
+        console.log(`Created ${type} object. Total objects: ${this.objects.length}`);
+        this.updateUI();
+        this.scheduleAutosave();
+        return object;
+    }
+
+    setSpawnPolicy(policy) {
+        if (!SPAWN_POLICIES.includes(policy)) return;
+        this.spawnPolicy = policy;
+
+        this.updateMenuStates();
+
+        const spawnSelect = document.getElementById('spawn-policy');
+        if (spawnSelect) spawnSelect.value = policy;
+
+        console.log(`Spawn placement: ${policy}`);
+    }
+
+    getSourceRay(source) {
+        if (source === 'mouse') {
+            this.mouseRaycaster.setFromCamera(this.mouse, this.camera);
+            return this.mouseRaycaster.ray.clone();
+        }
+
+        // Controllers and hands both point with their target ray space
+        const index = typeof source === 'string' && source.startsWith('hand-') ? Number(source.slice(5)) : source;
+        const targetRay = this.controllers[index];
+        if (!targetRay) return null;
+
+        const ray = new THREE.Ray();
+        const rotation = new THREE.Matrix4().extractRotation(targetRay.matrixWorld);
+        ray.origin.setFromMatrixPosition(targetRay.matrixWorld);
+        ray.direction.set(0, 0, -1).applyMatrix4(rotation);
+        return ray;
+    }
+
+    getMenuSpawn(source) {
+        // Menu presses spawn at the tip of the pressing ray; pokes have no ray
+        const ray = source !== null && source !== undefined ? this.getSourceRay(source) : null;
+        return ray ? { ray, mode: 'tip' } : null;
+    }
+
+    getPointerSpawn() {
+        return { ray: this.getSourceRay('mouse'), mode: 'surface' };
+    }
+
+    placeNewObject(object, spawn) {
+        const position = object.position;
+
+        if (spawn && spawn.mode === 'reticle') {
+            // Rest on the real surface under the AR reticle and anchor it there
+            position.copy(spawn.point);
+            position.y -= computeLocalBounds(object).min.y * object.scale.y;
+            this.pendingARAnchors.add(object);
+            return;
+        }
+
+        if (this.spawnPolicy === 'random') {
+            // Random position on platform
+            position.set(
+                (Math.random() - 0.5) * 3,
+                1 + Math.random() * 0.5,
+                (Math.random() - 0.5) * 3
+            );
+            return;
+        }
+
+        if (this.spawnPolicy === 'pointer' && spawn && spawn.ray) {
+            if (spawn.mode === 'surface') {
+                this.placeOnPointerSurface(object, spawn.ray);
+            } else {
+                spawn.ray.at(SPAWN_RAY_DISTANCE, position);
+            }
+        } else {
+            // Fixed distance in front of the headset or desktop camera
+            const direction = new THREE.Vector3();
+            this.camera.getWorldPosition(position);
+            this.camera.getWorldDirection(direction);
+            position.addScaledVector(direction, SPAWN_FRONT_DISTANCE);
+        }
+
+        // The virtual room's walls mean nothing in passthrough
+        if (this.isARSession) return;
+
+        // Stay inside the room and above ground
+        position.x = THREE.MathUtils.clamp(position.x, -4.75, 4.75);
+        position.z = THREE.MathUtils.clamp(position.z, -4.75, 4.75);
+        position.y = THREE.MathUtils.clamp(position.y, 0.25, 3.75);
+    }
+
+    placeOnPointerSurface(object, ray) {
+        const raycaster = new THREE.Raycaster(ray.origin, ray.direction);
+        const hits = this.intersectIndexed(raycaster, other => other.visible);
+        const hit = raycaster.intersectObjects([this.floor, this.platform, ...this.tables], true, hits)[0];
+
+        if (!hit) {
+            ray.at(SPAWN_FALLBACK_DISTANCE, object.position);
+            return;
+        }
+
+        const bounds = computeLocalBounds(object);
+        const normal = hit.face.normal.clone().transformDirection(hit.object.matrixWorld);
+        object.position.copy(hit.point);
+
+        if (normal.y > 0.7) {
+            // Rest the object's base on top of the surface
+            object.position.y -= bounds.min.y * object.scale.y;
+        } else {
+            // Push clear of walls and object sides
+            const radius = bounds.getBoundingSphere(new THREE.Sphere()).radius;
+            object.position.addScaledVector(normal, radius * object.scale.x);
+        }
+    }
+
+    disposeObject(object) {
+        // Groups own nothing themselves; each member frees its own resources
+        if (object.userData.objectType === GROUP_TYPE) {
+            object.children.forEach(child => this.disposeObject(child));
+            return;
+        }
+
+        // Primitives share their type's geometry and model instances the library
+        // template's; only their per-instance materials are theirs to free
+        object.traverse(child => {
+            if (!child.isMesh) return;
+            const materials = Array.isArray(child.material) ? child.material : [child.material];
+            materials.forEach(material => material.dispose());
+        });
+    }
+
+    setEmissive(object, hex) {
+        object.traverse(child => {
+            if (!child.isMesh) return;
+            const materials = Array.isArray(child.material) ? child.material : [child.material];
+            materials.forEach(material => {
+                if (material.emissive) material.emissive.setHex(hex);
+            });
+        });
+    }
+
+    getObjectTypeLabel(type) {
+        if (type === GROUP_TYPE) return 'Group';
+
+        if (type.startsWith('model:')) {
+            const model = this.modelLibrary.get(type.slice(6));
+            return model ? model.name : 'Model';
+        }
+
+        const objectType = this.objectTypes.get(type);
+        return objectType ? objectType.label : type;
+    }
+
+    getMaterialProperties(object) {
+        // Imported models keep their own materials
+        if (!object.isMesh) return null;
+
+        const material = object.material;
+        const isStandard = Boolean(material.isMeshStandardMaterial);
+        return {
+            kind: isStandard ? 'standard' : 'lambert',
+            color: material.color.getHex(),
+            roughness: isStandard ? material.roughness : DEFAULT_MATERIAL_PROPERTIES.roughness,
+            metalness: isStandard ? material.metalness : DEFAULT_MATERIAL_PROPERTIES.metalness,
+            opacity: material.opacity,
+            wireframe: material.wireframe
+        };
+    }
+
+    applyMaterialProperties(object, properties) {
+        if (!object.isMesh || !properties) return;
+
+        const current = this.getMaterialProperties(object);
+        const next = { ...current, ...properties };
+        if (!MATERIAL_KINDS.includes(next.kind)) {
+            next.kind = current.kind;
+        }
+
+        let material = object.material;
+        if (next.kind !== current.kind) {
+            // Swap the material class but keep textures such as text label maps
+            const MaterialClass = next.kind === 'standard' ? THREE.MeshStandardMaterial : THREE.MeshLambertMaterial;
+            const replacement = new MaterialClass({ map: material.map, side: material.side });
+            replacement.emissive.copy(material.emissive);
+            material.dispose();
+            object.material = material = replacement;
+        }
+
+        material.color.setHex(next.color);
+        material.opacity = next.opacity;
+        material.wireframe = next.wireframe;
+        if (material.isMeshStandardMaterial) {
+            material.roughness = next.roughness;
+            material.metalness = next.metalness;
+        }
+
+        // Text labels blend their texture alpha even when fully opaque
+        const transparent = next.opacity < 1 || Boolean(material.map);
+        if (material.transparent !== transparent) {
+            material.transparent = transparent;
+            material.needsUpdate = true;
+        }
+    }
+
+    captureProperties(object) {
+        return {
+            name: object.name,
+            hidden: !object.visible,
+            locked: Boolean(object.userData.locked),
+            transform: this.captureTransform(object),
+            material: this.getMaterialProperties(object)
+        };
+    }
+
+    applyProperties(object, properties) {
+        if (!object) return;
+
+        object.name = properties.name;
+        this.applyTransform(object, properties.transform);
+        this.applyMaterialProperties(object, properties.material);
+        this.setObjectHidden(object, properties.hidden);
+        this.setObjectLocked(object, properties.locked);
+        this.broadcastOperation({ type: 'properties', id: object.userData.id, properties });
+        this.updateUI();
+    }
+
+    recordPropertyChange(object, before, after) {
+        if (JSON.stringify(before) === JSON.stringify(after)) return;
+
+        const id = object.userData.id;
+        this.recordCommand({
+            label: `edit ${object.userData.objectType}`,
+            undo: () => this.applyProperties(this.findObjectById(id), before),
+            redo: () => this.applyProperties(this.findObjectById(id), after)
+        });
+        this.broadcastOperation({ type: 'properties', id, properties: after });
+        this.scheduleAutosave();
+    }
+
+    changeObjectProperties(object, change) {
+        // One-off edits, such as from the outliner, as a single undo step
+        if (this.isLockedByPeer(object)) {
+            console.log('Object is being edited by someone else');
+            return;
+        }
+
+        const before = this.captureProperties(object);
+        change(object);
+        this.recordPropertyChange(object, before, this.captureProperties(object));
+        this.updateInspector();
+        this.updateUI();
+    }
+
+    setObjectHidden(object, hidden) {
+        if (object.visible === !hidden) return;
+
+        if (hidden) {
+            this.getGrabSources(object).forEach(source => this.releaseObject(source));
+            this.detachFollower(object);
+            if (this.selection.has(object)) {
+                this.toggleSelection(object);
+            }
+        }
+        object.visible = !hidden;
+
+        // Hidden objects leave the physics world until shown again
+        if (hidden) {
+            this.physics.removeBody(object);
+            this.releaseObjectLock(object);
+        } else {
+            this.physics.addBody(object);
+            this.physics.setHeld(object, Boolean(object.userData.locked));
+        }
+    }
+
+    setObjectLocked(object, locked) {
+        if (Boolean(object.userData.locked) === locked) return;
+
+        if (locked) {
+            this.getGrabSources(object).forEach(source => this.releaseObject(source));
+            this.detachFollower(object);
+            this.releaseObjectLock(object);
+        }
+        object.userData.locked = locked;
+
+        // Locked objects stay pinned even with physics on
+        this.physics.setHeld(object, locked);
+    }
+
+    beginPropertyEdit() {
+        // Live edits from one field or slider drag collapse into a single undo step
+        if (this.selectedObject && !this.propertyEditStart) {
+            this.propertyEditStart = this.captureProperties(this.selectedObject);
+        }
+    }
+
+    commitPropertyEdit() {
+        const object = this.selectedObject;
+        const before = this.propertyEditStart;
+        this.propertyEditStart = null;
+        if (!object || !before) return;
+
+        this.recordPropertyChange(object, before, this.captureProperties(object));
+    }
+
+    editSelectedObject(edit) {
+        const object = this.selectedObject;
+        if (!object || this.isLockedByPeer(object)) return;
+
+        this.beginPropertyEdit();
+        edit(object);
+        this.physics.resetBody(object);
+        this.detachARAnchor(object);
+        this.updateVRInspector();
+    }
+
+    setSelection(objects, primary = null) {
+        // Finish any edit on the previous selection first
+        this.commitPropertyEdit();
+
+        const selection = new Set(objects.filter(Boolean));
+
+        // One outline per selected object
+        this.selectionHelpers.forEach((helper, object) => {
+            if (selection.has(object)) return;
+            this.scene.remove(helper);
+            helper.dispose();
+            this.selectionHelpers.delete(object);
+        });
+        selection.forEach(object => {
+            if (this.selectionHelpers.has(object)) return;
+            const helper = new THREE.BoxHelper(object, SELECTION_COLOR);
+            this.selectionHelpers.set(object, helper);
+            this.scene.add(helper);
+        });
+
+        // The inspector follows the primary object: the one asked for, else
+        // the current one if still selected, else the latest addition
+        const members = [...selection];
+        if (selection.has(primary)) {
+            this.selectedObject = primary;
+        } else if (!selection.has(this.selectedObject)) {
+            this.selectedObject = members[members.length - 1] || null;
+        }
+        this.selection = selection;
+
+        this.placeInspectorPanel();
+        this.updateInspector();
+        this.updateSelectionUI();
+        this.refreshOutliner();
+    }
+
+    selectObject(object) {
+        this.setSelection(object ? [object] : []);
+    }
+
+    toggleSelection(object) {
+        const members = [...this.selection];
+        if (this.selection.has(object)) {
+            this.setSelection(members.filter(member => member !== object));
+        } else {
+            this.setSelection([...members, object], object);
+        }
+    }
+
+    setSelectMode(enabled) {
+        this.isSelectMode = enabled;
+
+        this.updateMenuStates();
+
+        console.log(`Select mode: ${enabled ? 'ON' : 'OFF'}`);
+    }
+
+    updateSelectionUI() {
+        const members = [...this.selection];
+
+        const selectionCount = document.getElementById('selection-count');
+        if (selectionCount) selectionCount.textContent = `Selected: ${members.length}`;
+
+        ['duplicate-selection', 'copy-selection'].forEach(id => {
+            const button = document.getElementById(id);
+            if (button) button.disabled = members.length === 0;
+        });
+
+        const groupButton = document.getElementById('group-selection');
+        if (groupButton) groupButton.disabled = members.length < 2;
+
+        const ungroupButton = document.getElementById('ungroup-selection');
+        if (ungroupButton) {
+            ungroupButton.disabled = !members.some(object => object.userData.objectType === GROUP_TYPE);
+        }
+
+        this.updateMenuStates();
+    }
+
+    deleteSelection() {
+        const objects = [...this.selection];
+        if (objects.length === 0) return;
+
+        this.recordBatch(`delete ${objects.length} objects`, () => {
+            objects.forEach(object => this.deleteObject(object));
+        });
+    }
+
+    cloneObjectState(state) {
+        // Copies are new objects, so every level gets a fresh id
+        return {
+            ...state,
+            id: this.generateObjectId(),
+            created: new Date().toISOString(),
+            ...(state.children && {
+                children: state.children.map(child => this.cloneObjectState(child))
+            })
+        };
+    }
+
+    createCopies(states, label, offset) {
+        const copies = [];
+        this.recordBatch(label, () => {
+            states.forEach(state => {
+                const copy = this.cloneObjectState(state);
+                copy.name = this.generateObjectName(state.name || this.getObjectTypeLabel(state.type));
+                if (offset) {
+                    copy.position = state.position.map((value, i) => value + DUPLICATE_OFFSET[i]);
+                }
+
+                const object = this.createObject(copy.type, copy);
+                if (object) copies.push(object);
+            });
+        });
+        return copies;
+    }
+
+    duplicateSelection() {
+        const states = [...this.selection].map(object => this.serializeObject(object));
+        if (states.length === 0) {
+            console.log('Nothing selected to duplicate');
+            return;
+        }
+
+        const copies = this.createCopies(states, `duplicate ${states.length} objects`, true);
+        this.setSelection(copies);
+        console.log(`Duplicated ${copies.length} objects`);
+    }
+
+    getClipboardPayload() {
+        const objects = [...this.selection].map(object => this.serializeObject(object));
+        if (objects.length === 0) return null;
+
+        // Bring along the imported models in use so another tab can rebuild them
+        return JSON.stringify({
+            format: CLIPBOARD_FORMAT,
+            version: SCENE_SCHEMA_VERSION,
+            models: this.collectModels(objects).map(model => this.serializeModel(model)),
+            objects
+        });
+    }
+
+    collectModels(states) {
+        // Library models referenced by the given objects, including group members
+        const modelIds = new Set();
+        const collect = (state) => {
+            if (state.type.startsWith('model:')) modelIds.add(state.type.slice(6));
+            (state.children || []).forEach(collect);
+        };
+        states.forEach(collect);
+
+        return [...modelIds]
+            .filter(id => this.modelLibrary.has(id))
+            .map(id => this.modelLibrary.get(id));
+    }
+
+    async pasteObjects(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            return false;
+        }
+        if (!data || data.format !== CLIPBOARD_FORMAT) return false;
+
+        const payload = this.migrateScene(data);
+        await this.restoreModels(payload.models);
+
+        // Pasting back over the originals offsets the copies like a duplicate
+        const overlaps = payload.objects.some(state => this.findObjectById(state.id));
+        const copies = this.createCopies(payload.objects, `paste ${payload.objects.length} objects`, overlaps);
+        this.setSelection(copies);
+        console.log(`Pasted ${copies.length} objects`);
+        return true;
+    }
+
+    async copySelectionToClipboard() {
+        const payload = this.getClipboardPayload();
+        if (!payload) {
+            console.log('Nothing selected to copy');
+            return;
+        }
+
+        try {
+            await navigator.clipboard.writeText(payload);
+            console.log(`Copied ${this.selection.size} objects`);
+        } catch (error) {
+            console.warn('Clipboard write failed:', error);
+            this.showVRError('Could not copy to the clipboard: ' + error.message);
+        }
+    }
+
+    async pasteFromClipboard() {
+        try {
+            const text = await navigator.clipboard.readText();
+            if (!(await this.pasteObjects(text))) {
+                console.log('Clipboard does not contain copied objects');
+            }
+        } catch (error) {
+            console.warn('Clipboard read failed:', error);
+            this.showVRError('Could not read the clipboard: ' + error.message);
+        }
+    }
+
+    groupSelection() {
+        const objects = [...this.selection];
+        if (objects.length < 2) {
+            console.log('Select at least two objects to group');
+            return;
+        }
+
+        this.releaseObject();
+
+        // The group sits at the center of its members so it turns and scales about it
+        const bounds = new THREE.Box3();
+        objects.forEach(object => bounds.expandByObject(object));
+        const center = bounds.getCenter(new THREE.Vector3());
+
+        const state = {
+            type: GROUP_TYPE,
+            id: this.generateObjectId(),
+            name: this.generateObjectName(this.getObjectTypeLabel(GROUP_TYPE)),
+            created: new Date().toISOString(),
+            position: center.toArray(),
+            quaternion: [0, 0, 0, 1],
+            scale: [1, 1, 1],
+            material: null,
+            children: objects.map(object => ({
+                ...this.serializeObject(object),
+                position: object.position.clone().sub(center).toArray()
+            }))
+        };
+
+        // Members are rebuilt inside the group, so undo is a delete plus a create
+        let group = null;
+        this.recordBatch(`group ${objects.length} objects`, () => {
+            objects.forEach(object => this.deleteObject(object));
+            group = this.createObject(GROUP_TYPE, state);
+        });
+
+        this.selectObject(group);
+        console.log(`Grouped ${objects.length} objects`);
+    }
+
+    ungroupSelection() {
+        const groups = [...this.selection].filter(object => object.userData.objectType === GROUP_TYPE);
+        if (groups.length === 0) {
+            console.log('No group selected');
+            return;
+        }
+
+        this.releaseObject();
+
+        const position = new THREE.Vector3();
+        const quaternion = new THREE.Quaternion();
+        const scale = new THREE.Vector3();
+        const members = [];
+
+        this.recordBatch(`ungroup ${groups.length} groups`, () => {
+            groups.forEach(group => {
+                // Members go back into the scene where they currently appear
+                group.updateMatrixWorld(true);
+                const states = group.children.map(child => {
+                    child.matrixWorld.decompose(position, quaternion, scale);
+                    return {
+                        ...this.serializeObject(child),
+                        position: position.toArray(),
+                        quaternion: quaternion.toArray(),
+                        scale: scale.toArray()
+                    };
+                });
+
+                this.deleteObject(group);
+                states.forEach(state => {
+                    const member = this.createObject(state.type, state);
+                    if (member) members.push(member);
+                });
+            });
+        });
+
+        this.setSelection(members);
+        console.log(`Ungrouped ${groups.length} groups into ${members.length} objects`);
+    }
+
+    startSelectionFollow(lead) {
+        // Other selected objects keep their pose relative to the one being held
+        const following = new Set();
+        this.selectionFollowers.forEach(followers => {
+            followers.forEach(({ object }) => following.add(object));
+        });
+
+        lead.updateMatrix();
+        const leadInverse = lead.matrix.clone().invert();
+
+        const followers = [...this.selection]
+            .filter(object => 
+                object !== lead && 
+                this.isInteractable(object) && 
+                !following.has(object) && 
+                this.getGrabSources(object).length === 0
+            )
+            .map(object => {
+                object.updateMatrix();
+                this.grabStartTransforms.set(object, this.captureTransform(object));
+                this.requestObjectLock(object);
+                this.setEmissive(object, 0x444444);
+                this.physics.setHeld(object, true);
+                return {
+                    object,
+                    offset: new THREE.Matrix4().multiplyMatrices(leadInverse, object.matrix)
+                };
+            });
+
+        if (followers.length > 0) {
+            this.selectionFollowers.set(lead, followers);
+        }
+    }
+
+    detachFollower(object) {
+        // A follower picked up by another hand or controller moves on its own
+        this.selectionFollowers.forEach((followers, lead) => {
+            const remaining = followers.filter(follower => follower.object !== object);
+            if (remaining.length === followers.length) return;
+
+            // What it moved while trailing the lead is undone on its own
+            this.recordTransform(object, this.grabStartTransforms.get(object), this.captureTransform(object));
+            this.grabStartTransforms.delete(object);
+            this.setEmissive(object, 0x000000);
+            this.physics.setHeld(object, Boolean(object.userData.locked));
+            if (remaining.length > 0) {
+                this.selectionFollowers.set(lead, remaining);
+            } else {
+                this.selectionFollowers.delete(lead);
+            }
+        });
+    }
+
+    updateSelectionFollowers() {
+        this.selectionFollowers.forEach((followers, lead) => {
+            lead.updateMatrix();
+            followers.forEach(({ object, offset }) => {
+                this.followerMatrix.multiplyMatrices(lead.matrix, offset);
+                this.followerMatrix.decompose(object.position, object.quaternion, object.scale);
+            });
+        });
+    }
+
+    createInspectorPanel() {
+        const panel = new THREE.Group();
+        panel.visible = false;
+        this.inspectorPanel = panel;
+        this.scene.add(panel);
+
+        const background = new THREE.Mesh(
+            new THREE.PlaneGeometry(1, 1.3),
+            new THREE.MeshLambertMaterial({ 
+                color: 0x333333, 
+                transparent: true, 
+                opacity: 0.9
+            })
+        );
+        panel.add(background);
+
+        // Title shows the selected object's name
+        const title = new THREE.Mesh(
+            new THREE.PlaneGeometry(0.9, 0.12),
+            new THREE.MeshLambertMaterial({ transparent: true })
+        );
+        title.position.set(0, 0.55, 0.01);
+        panel.add(title);
+
+        // Hue around the wheel, saturation towards the rim
+        const wheel = this.addInspectorControl(
+            new THREE.CircleGeometry(INSPECTOR_WHEEL_RADIUS, 48),
+            { type: 'inspectorColorWheel' },
+            0xFFFFFF, -0.22, 0.22
+        );
+        wheel.material.map = this.createColorWheelTexture();
+
+        const buttons = [
+            { action: 'materialKind', color: 0xCE93D8, y: 0.36 },
+            { action: 'wireframe', color: 0x80DEEA, y: 0.22 },
+            { action: 'deselect', color: 0xFFCC80, y: 0.08 }
+        ].map(({ action, color, y }) => this.addInspectorControl(
+            new THREE.PlaneGeometry(0.4, 0.1),
+            { type: 'inspectorButton', action },
+            color, 0.24, y
+        ));
+
+        const sliders = INSPECTOR_SLIDERS.map((slider, index) => {
+            const y = -0.12 - index * 0.14;
+
+            const label = new THREE.Mesh(
+                new THREE.PlaneGeometry(0.28, 0.07),
+                new THREE.MeshLambertMaterial({ map: this.createTextTexture(slider.label), transparent: true })
+            );
+            label.position.set(-0.31, y, 0.01);
+            panel.add(label);
+
+            const track = this.addInspectorControl(
+                new THREE.PlaneGeometry(0.56, 0.05),
+                { type: 'inspectorSlider', slider },
+                0x9E9E9E, 0.17, y
+            );
+
+            // Knob hits resolve to the track, its parent
+            const knob = new THREE.Mesh(
+                new THREE.BoxGeometry(0.03, 0.09, 0.02),
+                new THREE.MeshLambertMaterial({ color: 0xFFFFFF })
+            );
+            track.add(knob);
+            track.userData.knob = knob;
+            return track;
+        });
+
+        this.inspectorControls = {
+            title,
+            wheel,
+            kind: buttons[0],
+            wireframe: buttons[1],
+            deselect: buttons[2],
+            sliders
+        };
+        this.setControlText(buttons[2], 'Done');
+    }
+
+    addInspectorControl(geometry, userData, color, x, y) {
+        const control = new THREE.Mesh(
+            geometry,
+            new THREE.MeshLambertMaterial({ 
+                color,
+                transparent: true,
+                opacity: 0.9
+            })
+        );
+        control.position.set(x, y, 0.02);
+        control.userData = {
+            ...userData,
+            originalOpacity: 0.9
+        };
+
+        this.inspectorPanel.add(control);
+        this.menuButtons.push(control);
+        return control;
+    }
+
+    createColorWheelTexture() {
+        const size = 256;
+        const canvas = document.createElement('canvas');
+        canvas.width = size;
+        canvas.height = size;
+
+        const context = canvas.getContext('2d');
+        const image = context.createImageData(size, size);
+        const center = size / 2;
+        const color = new THREE.Color();
+        const rgb = { r: 0, g: 0, b: 0 };
+
+        for (let py = 0; py < size; py++) {
+            for (let px = 0; px < size; px++) {
+                // Canvas rows run downwards, the wheel's local y upwards
+                const x = px - center;
+                const y = center - py;
+                const hue = (Math.atan2(y, x) / (Math.PI * 2) + 1) % 1;
+                const saturation = Math.min(1, Math.hypot(x, y) / center);
+                color.setHSL(hue, saturation, 0.5, THREE.SRGBColorSpace);
+                color.getRGB(rgb, THREE.SRGBColorSpace);
+
+                const i = (py * size + px) * 4;
+                image.data[i] = rgb.r * 255;
+                image.data[i + 1] = rgb.g * 255;
+                image.data[i + 2] = rgb.b * 255;
+                image.data[i + 3] = 255;
+            }
+        }
+        context.putImageData(image, 0, 0);
+
+        const texture = new THREE.CanvasTexture(canvas);
+        texture.colorSpace = THREE.SRGBColorSpace;
+        return texture;
+    }
+
+    setControlText(control, text) {
+        if (control.userData.text === text) return;
+        control.userData.text = text;
+
+        if (control.material.map) {
+            control.material.map.dispose();
+        }
+        control.material.map = this.createTextTexture(text);
+        control.material.needsUpdate = true;
+    }
+
+    placeInspectorPanel() {
+        const object = this.selectedObject;
+        if (!object || !this.inspectorPanel.visible) return;
+
+        const bounds = this.inspectorBox.setFromObject(object).getBoundingSphere(this.inspectorSphere);
+        const viewer = this.camera.getWorldPosition(this.inspectorPoint);
+
+        // Beside the object on the viewer's right, turned to face them
+        const toViewer = this.inspectorDirection.copy(viewer).sub(bounds.center).setY(0).normalize();
+        const panel = this.inspectorPanel;
+        panel.position.set(toViewer.z, 0, -toViewer.x)
+            .multiplyScalar(bounds.radius + INSPECTOR_PANEL_OFFSET)
+            .add(bounds.center);
+        panel.position.y = Math.max(bounds.center.y, 0.9);
+        panel.lookAt(viewer.x, panel.position.y, viewer.z);
+    }
+
+    setInspectorControlValue(control, point) {
+        if (control.userData.disabled) return;
+
+        const local = control.worldToLocal(this.inspectorPoint.copy(point));
+
+        if (control.userData.type === 'inspectorColorWheel') {
+            const hue = (Math.atan2(local.y, local.x) / (Math.PI * 2) + 1) % 1;
+            const saturation = Math.min(1, Math.hypot(local.x, local.y) / INSPECTOR_WHEEL_RADIUS);
+            const color = this.inspectorColor.setHSL(hue, saturation, 0.5, THREE.SRGBColorSpace).getHex();
+            this.editSelectedObject(object => this.applyMaterialProperties(object, { color }));
+            return;
+        }
+
+        const { key, min, max } = control.userData.slider;
+        const t = THREE.MathUtils.clamp(local.x / control.geometry.parameters.width + 0.5, 0, 1);
+        const value = min + t * (max - min);
+        this.editSelectedObject(object => {
+            if (key === 'scale') {
+                object.scale.setScalar(value);
+            } else {
+                this.applyMaterialProperties(object, { [key]: value });
+            }
+        });
+    }
+
+    updateInspectorDrags() {
+        this.inspectorDrags.forEach((control, source) => {
+            const ray = this.getSourceRay(source);
+            if (!ray) return;
+
+            // Follow the panel plane so dragging past the end pins the value
+            control.getWorldDirection(this.inspectorDirection);
+            control.getWorldPosition(this.inspectorPoint);
+            this.inspectorPlane.setFromNormalAndCoplanarPoint(this.inspectorDirection, this.inspectorPoint);
+            if (ray.intersectPlane(this.inspectorPlane, this.inspectorPoint)) {
+                this.setInspectorControlValue(control, this.inspectorPoint);
+            }
+        });
+    }
+
+    endInspectorDrag(source) {
+        if (!this.inspectorDrags.delete(source)) return;
+
+        if (this.inspectorDrags.size === 0) {
+            this.commitPropertyEdit();
+            this.updateInspector();
+        }
+    }
+
+    onInspectorButton(action) {
+        if (action === 'deselect') {
+            this.selectObject(null);
+            return;
+        }
+
+        const material = this.selectedObject && this.getMaterialProperties(this.selectedObject);
+        if (!material) return;
+
+        this.editSelectedObject(object => {
+            if (action === 'materialKind') {
+                const index = MATERIAL_KINDS.indexOf(material.kind);
+                this.applyMaterialProperties(object, { kind: MATERIAL_KINDS[(index + 1) % MATERIAL_KINDS.length] });
+            } else if (action === 'wireframe') {
+                this.applyMaterialProperties(object, { wireframe: !material.wireframe });
+            }
+        });
+        this.commitPropertyEdit();
+        this.updateInspector();
+    }
+
+    updateInspector() {
+        const object = this.selectedObject;
+        const panel = document.getElementById('inspector');
+        this.updateVRInspector();
+        if (!panel) return;
+
+        panel.classList.toggle('hidden', !object);
+        if (!object) return;
+
+        // Leave the field being typed into alone
+        const setField = (id, property, value) => {
+            const field = document.getElementById(id);
+            if (field && field !== document.activeElement) {
+                field[property] = value;
+            }
+        };
+
+        setField('inspector-name', 'value', object.name);
+
+        this.inspectorEuler.setFromQuaternion(object.quaternion);
+        ['x', 'y', 'z'].forEach(axis => {
+            setField(`inspector-position-${axis}`, 'value', object.position[axis].toFixed(3));
+            setField(`inspector-rotation-${axis}`, 'value', THREE.MathUtils.radToDeg(this.inspectorEuler[axis]).toFixed(1));
+            setField(`inspector-scale-${axis}`, 'value', object.scale[axis].toFixed(3));
+        });
+
+        const material = this.getMaterialProperties(object);
+        const materialFields = document.getElementById('inspector-material');
+        if (materialFields) materialFields.disabled = !material;
+        if (!material) return;
+
+        setField('inspector-color', 'value', `#${this.inspectorColor.setHex(material.color).getHexString()}`);
+        setField('inspector-material-kind', 'value', material.kind);
+        setField('inspector-roughness', 'value', material.roughness);
+        setField('inspector-metalness', 'value', material.metalness);
+        setField('inspector-opacity', 'value', material.opacity);
+        setField('inspector-wireframe', 'checked', material.wireframe);
+
+        // Lambert has no PBR parameters to edit
+        ['inspector-roughness', 'inspector-metalness'].forEach(id => {
+            const field = document.getElementById(id);
+            if (field) field.disabled = material.kind !== 'standard';
+        });
+    }
+
+    updateVRInspector() {
+        const panel = this.inspectorPanel;
+        if (!panel) return;
+
+        const object = this.selectedObject;
+        panel.visible = Boolean(object) && this.renderer.xr.isPresenting;
+        if (!object) return;
+
+        const material = this.getMaterialProperties(object);
+        const controls = this.inspectorControls;
+        this.setControlText(controls.title, object.name || this.getObjectTypeLabel(object.userData.objectType));
+        this.setControlText(controls.kind, material ? (material.kind === 'standard' ? 'Standard' : 'Lambert') : 'Model');
+        this.setControlText(controls.wireframe, `Wireframe: ${material && material.wireframe ? 'ON' : 'OFF'}`);
+        updateButton(controls.wheel, { disabled: !material });
+
+        controls.sliders.forEach(track => {
+            const { key, min, max } = track.userData.slider;
+            const isScale = key === 'scale';
+            const enabled = isScale || (Boolean(material) && (key === 'opacity' || material.kind === 'standard'));
+            const value = isScale ? object.scale.x : (material ? material[key] : min);
+
+            const t = THREE.MathUtils.clamp((value - min) / (max - min), 0, 1);
+            track.userData.knob.position.x = (t - 0.5) * track.geometry.parameters.width;
+            updateButton(track, { disabled: !enabled });
+
+            track.material.color.setHex(enabled ? 0x9E9E9E : 0x555555);
+        });
+    }
+
+    setupInspectorListeners() {
+        // Fields edit live on input and become one undo step on change
+        const bindField = (id, apply) => {
+            const field = document.getElementById(id);
+            if (!field) return;
+
+            field.addEventListener('input', () => {
+                this.editSelectedObject(object => apply(object, field));
+            });
+            field.addEventListener('change', () => {
+                this.commitPropertyEdit();
+                this.updateInspector();
+                this.refreshOutliner();
+            });
+        };
+
+        const readNumber = (field) => {
+            const value = parseFloat(field.value);
+            return Number.isFinite(value) ? value : null;
+        };
+
+        bindField('inspector-name', (object, field) => {
+            object.name = field.value;
+        });
+
+        ['x', 'y', 'z'].forEach(axis => {
+            bindField(`inspector-position-${axis}`, (object, field) => {
+                const value = readNumber(field);
+                if (value !== null) object.position[axis] = value;
+            });
+            bindField(`inspector-rotation-${axis}`, (object, field) => {
+                const value = readNumber(field);
+                if (value === null) return;
+                this.inspectorEuler.setFromQuaternion(object.quaternion);
+                this.inspectorEuler[axis] = THREE.MathUtils.degToRad(value);
+                object.quaternion.setFromEuler(this.inspectorEuler);
+            });
+            bindField(`inspector-scale-${axis}`, (object, field) => {
+                const value = readNumber(field);
+                if (value !== null) object.scale[axis] = THREE.MathUtils.clamp(value, MIN_OBJECT_SCALE, MAX_OBJECT_SCALE);
+            });
+        });
+
+        bindField('inspector-color', (object, field) => {
+            this.applyMaterialProperties(object, { color: this.inspectorColor.set(field.value).getHex() });
+        });
+        bindField('inspector-material-kind', (object, field) => {
+            this.applyMaterialProperties(object, { kind: field.value });
+        });
+        ['roughness', 'metalness', 'opacity'].forEach(key => {
+            bindField(`inspector-${key}`, (object, field) => {
+                const value = readNumber(field);
+                if (value !== null) this.applyMaterialProperties(object, { [key]: value });
+            });
+        });
+        bindField('inspector-wireframe', (object, field) => {
+            this.applyMaterialProperties(object, { wireframe: field.checked });
+        });
+
+        const closeInspector = document.getElementById('inspector-close');
+        if (closeInspector) {
+            closeInspector.addEventListener('click', () => this.selectObject(null));
+        }
+    }
+
+    deleteObject(object) {
+        const index = this.objects.indexOf(object);
+        if (index > -1) {
+            this.getGrabSources(object).forEach(source => this.releaseObject(source));
+            this.detachFollower(object);
+            if (this.selection.has(object)) {
+                this.toggleSelection(object);
+            }
+
+            if (!this.isRestoringScene) {
+                // Keep a serialized copy so undo can rebuild disposed resources
+                const deleted = this.serializeObject(object);
+                this.recordCommand({
+                    label: `delete ${deleted.type}`,
+                    undo: () => this.createObject(deleted.type, deleted),
+                    redo: () => this.deleteObject(this.findObjectById(deleted.id))
+                });
+                if (this.collaboration) this.collaboration.releaseLock(deleted.id);
+                this.broadcastOperation({ type: 'delete', id: deleted.id });
+            }
+
+            this.objects.splice(index, 1);
+            this.scene.remove(object);
+            this.isSpatialIndexStale = true;
+            this.physics.removeBody(object);
+            this.detachARAnchor(object);
+            
+            this.disposeObject(object);
+            
+            console.log(`Deleted object. Total objects: ${this.objects.length}`);
+            this.updateUI();
+            this.scheduleAutosave();
+        }
+    }
+
+    grabObject(object, controller, source) {
+        if (!this.isInteractable(object)) return;
+
+        // A source can only hold one object at a time
+        this.releaseObject(source);
+
+        const isFirstHolder = this.getGrabSources(object).length === 0;
+        const grab = {
+            object,
+            offset: new THREE.Vector3(),
+            anchorQuaternion: new THREE.Quaternion(),
+            objectQuaternion: new THREE.Quaternion()
+        };
+        
+        if (controller) {
+            this.anchorGrab(grab, controller);
+        }
+        
+        this.grabs.set(source, grab);
+        this.detachFollower(object);
+        
+        // Grabbing part of a multi-selection keeps it; anything else selects just this
+        if (this.selection.has(object)) {
+            this.setSelection([...this.selection], object);
+        } else {
+            this.selectObject(object);
+        }
+        
+        if (isFirstHolder) {
+            // Remember where the grab started for undo
+            this.grabStartTransforms.set(object, this.captureTransform(object));
+            
+            // Moved by hand, so no longer pinned to its real-world spot
+            this.detachARAnchor(object);
+            
+            // Peers can't grab it until we let go
+            this.requestObjectLock(object);
+            
+            // Visual feedback
+            this.setEmissive(object, 0x444444);
+            
+            // Held objects are kinematic until released
+            this.physics.setHeld(object, true);
+            
+            if (this.selection.size > 1) {
+                this.startSelectionFollow(object);
+            }
+        }
+        
+        // A second VR holder on the same object starts the scale/rotate gesture
+        const vrSources = this.getGrabSources(object).filter(holder => holder !== 'mouse');
+        if (vrSources.length === 2) {
+            this.startTwoHandGesture(object, vrSources);
+        }
+        
+        this.pulseHaptics(source, 'grab');
+        console.log('Object grabbed:', object.userData.objectType, 'by', source);
+    }
+
+    releaseObject(source) {
+        // Without a source, release everything currently held
+        if (source === undefined) {
+            [...this.grabs.keys()].forEach(key => this.releaseObject(key));
+            return;
+        }
+
+        const grab = this.grabs.get(source);
+        if (!grab) return;
+
+        const object = grab.object;
+        this.grabs.delete(source);
+        this.twoHandGestures.delete(object);
+        this.pulseHaptics(source, 'release');
+
+        const remaining = this.getGrabSources(object);
+        if (remaining.length > 0) {
+            // Re-anchor the hand still holding so the object doesn't jump
+            remaining.forEach(holder => {
+                const anchor = this.getGrabAnchor(holder);
+                if (anchor) {
+                    this.anchorGrab(this.grabs.get(holder), anchor);
+                }
+            });
+            return;
+        }
+
+        this.setEmissive(object, 0x000000);
+        this.physics.setHeld(object, false);
+        // Thrown objects keep the velocity measured while held, so only objects that stay put snap
+        if (!this.physicsEnabled) {
+            this.applyPlacementSnapping(object);
+        }
+
+        // Followers settle relative to the snapped pose
+        this.updateSelectionFollowers();
+        const followers = (this.selectionFollowers.get(object) || []).map(follower => follower.object);
+        this.selectionFollowers.delete(object);
+        followers.forEach(follower => {
+            this.setEmissive(follower, 0x000000);
+            this.physics.setHeld(follower, false);
+        });
+
+        const moved = [object, ...followers];
+        this.recordBatch(`move ${moved.length} objects`, () => {
+            moved.forEach(item => {
+                this.recordTransform(item, this.grabStartTransforms.get(item), this.captureTransform(item));
+                this.grabStartTransforms.delete(item);
+            });
+        });
+
+        // Thrown objects stay ours until physics puts them to rest
+        if (!this.physicsEnabled) {
+            moved.forEach(item => this.releaseObjectLock(item));
+        }
+        if (this.selection.has(object)) {
+            this.updateInspector();
+        }
+        console.log('Object released:', object.userData.objectType);
+        this.scheduleAutosave();
+    }
+
+    getGrabSources(object) {
+        const sources = [];
+        this.grabs.forEach((grab, source) => {
+            if (grab.object === object) sources.push(source);
+        });
+        return sources;
+    }
+
+    anchorGrab(grab, anchor) {
+        // Hold the object relative to the controller pose at grab time
+        this.getAnchorPose(anchor);
+        grab.offset.copy(grab.object.position).sub(this.anchorPosition);
+        grab.anchorQuaternion.copy(this.anchorQuaternion);
+        grab.objectQuaternion.copy(grab.object.quaternion);
+    }
+
+    getConstrainedGrabRotation(grab, target) {
+        // Controller rotation since the grab started
+        target.copy(grab.anchorQuaternion).invert().premultiply(this.anchorQuaternion);
+
+        if (this.rotationConstraint === 'none') {
+            return target.identity();
+        }
+
+        if (this.rotationConstraint === 'yaw') {
+            this.grabEuler.setFromQuaternion(target, 'YXZ');
+            this.grabEuler.set(0, this.grabEuler.y, 0, 'YXZ');
+            target.setFromEuler(this.grabEuler);
+        }
+
+        return target;
+    }
+
+    cycleRotationConstraint() {
+        const index = ROTATION_CONSTRAINTS.indexOf(this.rotationConstraint);
+        this.rotationConstraint = ROTATION_CONSTRAINTS[(index + 1) % ROTATION_CONSTRAINTS.length];
+
+        // Re-anchor active grabs so switching mid-grab doesn't jump
+        this.grabs.forEach((grab, source) => {
+            const anchor = this.getGrabAnchor(source);
+            if (anchor) {
+                this.anchorGrab(grab, anchor);
+            }
+        });
+
+        this.updateMenuStates();
+
+        console.log(`Grab rotation: ${this.rotationConstraint}`);
+    }
+
+    getAnchorPose(anchor) {
+        anchor.updateWorldMatrix(true, false);
+        this.anchorPosition.setFromMatrixPosition(anchor.matrixWorld);
+        this.anchorQuaternion.setFromRotationMatrix(anchor.matrixWorld);
+    }
+
+    startTwoHandGesture(object, sources) {
+        const [first, second] = sources.map(source => this.getGrabAnchor(source));
+        if (!first || !second) return;
+
+        this.getAnchorPose(second);
+        this.secondAnchorPosition.copy(this.anchorPosition);
+        this.getAnchorPose(first);
+
+        const midpoint = this.anchorPosition.clone().add(this.secondAnchorPosition).multiplyScalar(0.5);
+        const axis = this.secondAnchorPosition.clone().sub(this.anchorPosition);
+        const distance = axis.length();
+        if (distance < 1e-4) return;
+
+        this.twoHandGestures.set(object, {
+            sources,
+            startDistance: distance,
+            startAxis: axis.normalize(),
+            startScale: object.scale.clone(),
+            startQuaternion: object.quaternion.clone(),
+            startOffset: object.position.clone().sub(midpoint)
+        });
+    }
+
+    updateTwoHandGesture(object, gesture) {
+        const [first, second] = gesture.sources.map(source => this.getGrabAnchor(source));
+        if (!first || !second) return;
+
+        this.getAnchorPose(second);
+        this.secondAnchorPosition.copy(this.anchorPosition);
+        this.getAnchorPose(first);
+
+        this.gestureAxis.copy(this.secondAnchorPosition).sub(this.anchorPosition);
+        const distance = this.gestureAxis.length();
+        if (distance < 1e-4) return;
+        this.gestureAxis.divideScalar(distance);
+
+        // Hand spread drives uniform scale, clamped per axis
+        const { startScale } = gesture;
+        const minFactor = MIN_OBJECT_SCALE / Math.min(startScale.x, startScale.y, startScale.z);
+        const maxFactor = MAX_OBJECT_SCALE / Math.max(startScale.x, startScale.y, startScale.z);
+        const factor = THREE.MathUtils.clamp(distance / gesture.startDistance, minFactor, maxFactor);
+        object.scale.copy(startScale).multiplyScalar(factor);
+
+        // Hand-to-hand axis drives rotation
+        this.gestureRotation.setFromUnitVectors(gesture.startAxis, this.gestureAxis);
+        object.quaternion.copy(gesture.startQuaternion).premultiply(this.gestureRotation);
+
+        // Keep the object where it was relative to the midpoint between hands
+        this.gestureMidpoint.copy(this.anchorPosition).add(this.secondAnchorPosition).multiplyScalar(0.5);
+        object.position.copy(gesture.startOffset)
+            .multiplyScalar(factor)
+            .applyQuaternion(this.gestureRotation)
+            .add(this.gestureMidpoint);
+
+        this.keepAboveGround(object);
+    }
+
+    keepAboveGround(object) {
+        if (object.position.y < 0.25) {
+            object.position.y = 0.25;
+        }
+    }
+
+    updateGrabbedObject() {
+        this.grabs.forEach((grab, source) => {
+            // Two-handed grabs are driven by the gesture below
+            if (this.twoHandGestures.has(grab.object)) return;
+
+            const controller = this.getGrabAnchor(source);
+            if (!controller) return;
+
+            this.getAnchorPose(controller);
+            const delta = this.getConstrainedGrabRotation(grab, this.grabDelta);
+            
+            // Orbit the grab offset around the controller as it rotates
+            grab.object.position.copy(grab.offset).applyQuaternion(delta).add(this.anchorPosition);
+            
+            // Apply the same rotation on top of the object's orientation at grab time
+            grab.object.quaternion.copy(grab.objectQuaternion).premultiply(delta);
+            
+            // Keep object above ground
+            this.keepAboveGround(grab.object);
+        });
+
+        this.twoHandGestures.forEach((gesture, object) => this.updateTwoHandGesture(object, gesture));
+    }
+
+    updateDeleteMode() {
+        this.updateMenuStates();
+
+        // Update desktop button
+        const toggleDeleteBtn = document.getElementById('toggle-delete');
+        if (toggleDeleteBtn) {
+            if (this.isDeleteMode) {
+                toggleDeleteBtn.textContent = '🗑️ Delete Mode: ON';
+                toggleDeleteBtn.classList.add('delete-active');
+            } else {
+                toggleDeleteBtn.textContent = '🗑️ Delete Mode: OFF';
+                toggleDeleteBtn.classList.remove('delete-active');
+            }
+        }
+        
+        console.log(`Delete mode: ${this.isDeleteMode ? 'ON' : 'OFF'}`);
+        this.updateUI();
+    }
+
+    serializeObject(object) {
+        return {
+            type: object.userData.objectType,
+            id: object.userData.id,
+            name: object.name,
+            created: object.userData.created.toISOString(),
+            hidden: !object.visible,
+            locked: Boolean(object.userData.locked),
+            position: object.position.toArray(),
+            quaternion: object.quaternion.toArray(),
+            scale: object.scale.toArray(),
+            material: this.getMaterialProperties(object),
+            ...(object.userData.objectType === GROUP_TYPE && {
+                children: object.children.map(child => this.serializeObject(child))
+            })
+        };
+    }
+
+    serializeScene({ inlineModels = true } = {}) {
+        return {
+            version: SCENE_SCHEMA_VERSION,
+            savedAt: new Date().toISOString(),
+            models: [...this.modelLibrary.values()].map(model => this.serializeModel(model, inlineModels)),
+            objects: this.objects.map(object => this.serializeObject(object))
+        };
+    }
+
+    serializeModel(model, inline = true) {
+        // Scenes kept in this browser refer to stored models by id instead of carrying the file
+        if (!inline && model.isStored) {
+            return { id: model.id, name: model.name, format: model.format, encoding: 'stored' };
+        }
+
+        const isBinary = model.data instanceof ArrayBuffer;
+        return {
+            id: model.id,
+            name: model.name,
+            format: model.format,
+            encoding: isBinary ? 'base64' : 'text',
+            data: isBinary ? this.arrayBufferToBase64(model.data) : model.data
+        };
+    }
+
+    arrayBufferToBase64(buffer) {
+        const bytes = new Uint8Array(buffer);
+        let binary = '';
+        // Chunk to stay under the argument limit of String.fromCharCode
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary);
+    }
+
+    base64ToArrayBuffer(base64) {
+        const binary = atob(base64);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes.buffer;
+    }
+
+    migrateScene(data) {
+        let version = Array.isArray(data) ? 0 : (data.version || 0);
+        let migrated = data;
+
+        if (version > SCENE_SCHEMA_VERSION) {
+            throw new Error(`Scene version ${version} is newer than supported version ${SCENE_SCHEMA_VERSION}`);
+        }
+
+        while (version < SCENE_SCHEMA_VERSION) {
+            const migrate = SCENE_MIGRATIONS[version];
+            if (!migrate) {
+                throw new Error(`No migration available for scene version ${version}`);
+            }
+            migrated = migrate(migrated);
+            version = migrated.version;
+        }
+
+        return migrated;
+    }
+
+    async restoreModels(models) {
+        // Models must be parsed before objects that reference them are rebuilt
+        for (const model of models) {
+            if (this.modelLibrary.has(model.id)) continue;
+            try {
+                let data = model.data;
+                if (model.encoding === 'stored') {
+                    data = await this.modelStore.get(model.id);
+                    if (data === null) throw new Error('the model file is no longer stored in this browser');
+                } else if (model.encoding === 'base64') {
+                    data = this.base64ToArrayBuffer(data);
+                }
+
+                await this.registerModel({
+                    id: model.id,
+                    name: model.name,
+                    format: model.format,
+                    data,
+                    isStored: model.encoding === 'stored'
+                });
+            } catch (error) {
+                console.warn(`Failed to restore model ${model.name}:`, error);
+            }
+        }
+    }
+
+    async loadScene(data) {
+        const scene = this.migrateScene(data);
+        await this.restoreModels(scene.models);
+
+        this.releaseObject();
+        this.isRestoringScene = true;
+        try {
+            // Remove current objects before rebuilding
+            [...this.objects].forEach(object => this.deleteObject(object));
+
+            scene.objects.forEach(state => {
+                this.createObject(state.type, state);
+            });
+        } finally {
+            this.isRestoringScene = false;
+        }
+
+        // Commands from the previous scene refer to objects that no longer exist
+        this.clearHistory();
+
+        // Everyone in the room switches to the loaded scene
+        if (this.isCollaborating()) {
+            this.broadcastOperation({ type: 'scene', scene: this.serializeScene() });
+            this.modelLibrary.forEach((model, id) => this.sharedModelIds.add(id));
+        }
+
+        console.log(`Loaded scene with ${this.objects.length} objects`);
+        this.scheduleAutosave();
+    }
+
+    findObjectById(id) {
+        return this.objects.find(object => object.userData.id === id) || null;
+    }
+
+    captureTransform(object) {
+        return {
+            position: object.position.toArray(),
+            quaternion: object.quaternion.toArray(),
+            scale: object.scale.toArray()
+        };
+    }
+
+    applyTransform(object, transform) {
+        if (!object) return;
+
+        object.position.fromArray(transform.position);
+        object.quaternion.fromArray(transform.quaternion);
+        object.scale.fromArray(transform.scale);
+        this.physics.resetBody(object);
+        this.detachARAnchor(object);
+        this.broadcastTransform(object);
+    }
+
+    recordTransform(object, before, after) {
+        if (!before) return;
+
+        const unchanged = ['position', 'quaternion', 'scale'].every(key =>
+            before[key].every((value, i) => value === after[key][i])
+        );
+        if (unchanged) return;
+
+        const id = object.userData.id;
+        this.recordCommand({
+            label: `move ${object.userData.objectType}`,
+            undo: () => this.applyTransform(this.findObjectById(id), before),
+            redo: () => this.applyTransform(this.findObjectById(id), after)
+        });
+    }
+
+    recordCommand(command) {
+        // Changes made by peers are theirs to undo
+        if (this.isApplyingHistory || this.isApplyingRemote) return;
+
+        if (this.commandBatch) {
+            this.commandBatch.push(command);
+            return;
+        }
+
+        this.undoStack.push(command);
+        if (this.undoStack.length > this.historyDepth) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+        this.updateMenuStates();
+    }
+
+    recordBatch(label, action) {
+        // Commands recorded while the action runs undo and redo as one step
+        const parentBatch = this.commandBatch;
+        const batch = [];
+        this.commandBatch = batch;
+        try {
+            action();
+        } finally {
+            this.commandBatch = parentBatch;
+        }
+
+        if (batch.length === 0) return;
+        this.recordCommand(batch.length === 1 ? batch[0] : {
+            label,
+            undo: () => [...batch].reverse().forEach(command => command.undo()),
+            redo: () => batch.forEach(command => command.redo())
+        });
+    }
+
+    runHistoryCommand(command, action) {
+        this.commitPropertyEdit();
+        this.releaseObject();
+        this.isApplyingHistory = true;
+        try {
+            command[action]();
+        } finally {
+            this.isApplyingHistory = false;
+        }
+        this.updateInspector();
+        this.updateUI();
+        this.scheduleAutosave();
+    }
+
+    undo() {
+        const command = this.undoStack.pop();
+        if (!command) {
+            console.log('Nothing to undo');
+            return;
+        }
+
+        this.runHistoryCommand(command, 'undo');
+        this.redoStack.push(command);
+        this.updateMenuStates();
+        console.log(`Undo: ${command.label}`);
+    }
+
+    redo() {
+        const command = this.redoStack.pop();
+        if (!command) {
+            console.log('Nothing to redo');
+            return;
+        }
+
+        this.runHistoryCommand(command, 'redo');
+        this.undoStack.push(command);
+        this.updateMenuStates();
+        console.log(`Redo: ${command.label}`);
+    }
+
+    setHistoryDepth(depth) {
+        this.historyDepth = Math.max(1, Math.floor(depth));
+        if (this.undoStack.length > this.historyDepth) {
+            this.undoStack.splice(0, this.undoStack.length - this.historyDepth);
+        }
+    }
+
+    clearHistory() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.updateMenuStates();
+    }
+
+    scheduleAutosave() {
+        if (this.isRestoringScene) return;
+
+        clearTimeout(this.autosaveTimer);
+        this.autosaveTimer = setTimeout(() => this.autosave(), AUTOSAVE_DELAY);
+    }
+
+    autosave() {
+        clearTimeout(this.autosaveTimer);
+        this.autosaveTimer = null;
+
+        try {
+            localStorage.setItem(AUTOSAVE_STORAGE_KEY, JSON.stringify(this.serializeScene({ inlineModels: false })));
+            this.setAutosaveFailed(null);
+        } catch (error) {
+            console.warn('Autosave failed:', error);
+            this.setAutosaveFailed(error);
+        }
+    }
+
+    setAutosaveFailed(error) {
+        // Stays up until an autosave goes through, so a full quota doesn't lose work unnoticed
+        const status = document.getElementById('autosave-status');
+        if (status) {
+            status.classList.toggle('hidden', !error);
+            status.title = error ? `Recent changes are not being kept: ${error.message}` : '';
+        }
+
+        if (error && !this.isAutosaveFailing) {
+            this.showVRError('Autosave failed: ' + error.message);
+        }
+        this.isAutosaveFailing = Boolean(error);
+    }
+
+    async restoreAutosave() {
+        try {
+            const saved = localStorage.getItem(AUTOSAVE_STORAGE_KEY);
+            if (saved) {
+                await this.loadScene(JSON.parse(saved));
+                console.log('Restored autosaved scene');
+            }
+        } catch (error) {
+            console.warn('Failed to restore autosaved scene:', error);
+        }
+    }
+
+    saveSceneToFile() {
+        const json = JSON.stringify(this.serializeScene(), null, 2);
+
+        try {
+            localStorage.setItem(SAVED_SCENE_STORAGE_KEY, JSON.stringify(this.serializeScene({ inlineModels: false })));
+        } catch (error) {
+            console.warn('Failed to store saved scene:', error);
+        }
+
+        this.downloadFile(`vr-scene-${Date.now()}.json`, json, 'application/json');
+        console.log(`Saved scene with ${this.objects.length} objects`);
+    }
+
+    async loadSavedScene() {
+        const saved = localStorage.getItem(SAVED_SCENE_STORAGE_KEY);
+        if (!saved) {
+            console.log('No saved scene found');
+            return;
+        }
+
+        try {
+            await this.loadScene(JSON.parse(saved));
+        } catch (error) {
+            console.error('Failed to load saved scene:', error);
+        }
+    }
+
+    async importSceneFile(file) {
+        try {
+            const text = await file.text();
+            await this.loadScene(JSON.parse(text));
+            console.log(`Imported scene from ${file.name}`);
+        } catch (error) {
+            console.error('Scene import failed:', error);
+            this.showVRError('Could not import scene: ' + error.message);
+        }
+    }
+
+    getModelFormat(filename) {
+        const extension = filename.split('.').pop().toLowerCase();
+        return MODEL_FORMATS[extension] || null;
+    }
+
+    async importModelFile(file, spawn = null) {
+        const format = this.getModelFormat(file.name);
+        if (!format) {
+            this.showVRError(`Unsupported model format: ${file.name}`);
+            return;
+        }
+
+        try {
+            const data = format === 'glb' ? await file.arrayBuffer() : await file.text();
+            const model = await this.registerModel({
+                id: `model-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+                name: file.name.replace(/\.[^.]+$/, ''),
+                format,
+                data
+            });
+
+            // Place one right away so the import is visible
+            this.createObject(`model:${model.id}`, null, spawn || this.getPointerSpawn());
+            console.log(`Imported model ${model.name}`);
+        } catch (error) {
+            console.error('Model import failed:', error);
+            this.showVRError('Could not import model: ' + error.message);
+        }
+    }
+
+    parseModel(format, data) {
+        if (format === 'obj') {
+            return Promise.resolve(new OBJLoader().parse(data));
+        }
+
+        // Single-file glTF only: external buffers and textures can't be resolved locally
+        return new Promise((resolve, reject) => {
+            new GLTFLoader().parse(data, '', gltf => resolve(gltf.scene), reject);
+        });
+    }
+
+    async registerModel({ id, name, format, data, isStored = false }) {
+        const loaded = await this.parseModel(format, data);
+
+        // Normalize to primitive size with the pivot at the bounding box centre
+        const bounds = new THREE.Box3().setFromObject(loaded);
+        const size = bounds.getSize(new THREE.Vector3());
+        const center = bounds.getCenter(new THREE.Vector3());
+        const scale = MODEL_TARGET_SIZE / (Math.max(size.x, size.y, size.z) || 1);
+
+        const normalized = new THREE.Group();
+        normalized.scale.setScalar(scale);
+        normalized.position.copy(center).multiplyScalar(-scale);
+        normalized.add(loaded);
+
+        const template = new THREE.Group();
+        template.name = name;
+        template.add(normalized);
+
+        const model = {
+            id,
+            name,
+            format,
+            data,
+            template,
+            color: MODEL_COLORS[this.modelLibrary.size % MODEL_COLORS.length],
+            isStored
+        };
+        this.modelLibrary.set(id, model);
+        if (!isStored) {
+            this.storeModel(model);
+        }
+
+        this.addModelButton(model);
+        this.refreshCreateMenu();
+        return model;
+    }
+
+    storeModel(model) {
+        // Until stored, the model's file is written inline with every autosave
+        this.modelStore.put(model)
+            .then(() => { model.isStored = true; })
+            .catch(error => console.warn(`Failed to store model ${model.name}:`, error));
+    }
+
+    instantiateModel(modelId) {
+        const model = this.modelLibrary.get(modelId);
+        if (!model) return null;
+
+        // Share geometry, but give each instance its own materials for highlighting
+        const instance = model.template.clone(true);
+        instance.name = model.name;
+        instance.traverse(child => {
+            if (!child.isMesh) return;
+            child.material = Array.isArray(child.material) ?
+                child.material.map(material => material.clone()) :
+                child.material.clone();
+        });
+        return instance;
+    }
+
+    addModelButton(model) {
+        const container = document.getElementById('model-buttons');
+        if (!container) return;
+
+        const button = document.createElement('button');
+        button.className = 'btn btn--sm create-btn';
+        button.dataset.type = `model:${model.id}`;
+        button.textContent = `🧩 ${model.name}`;
+        button.title = model.name;
+        button.addEventListener('click', () => {
+            this.createObject(button.dataset.type, null, this.getPointerSpawn());
+        });
+
+        container.appendChild(button);
+        document.getElementById('imported-models').classList.remove('hidden');
+    }
+
+    buildExportScene() {
+        const exportScene = new THREE.Scene();
+        exportScene.name = 'VR Object Creator Scene';
+
+        if (this.exportIncludeEnvironment) {
+            const environment = [
+                ['Room', this.room],
+                ['Platform', this.platform],
+                ...this.tables.map((table, index) => [`Table ${index + 1}`, table])
+            ];
+            environment.forEach(([name, object]) => {
+                const clone = object.clone();
+                clone.name = name;
+                exportScene.add(clone);
+            });
+        }
+
+        // Clones share geometry and material, so nothing is copied or disposed
+        this.objects.forEach(object => {
+            const clone = object.clone();
+            clone.name = object.name || `${object.userData.objectType}-${object.userData.id}`;
+            exportScene.add(clone);
+        });
+
+        return exportScene;
+    }
+
+    async exportScene(binary = true) {
+        const exporter = new GLTFExporter();
+
+        try {
+            // Objects drawn by an instance batch export as themselves
+            this.instanceBatcher.release();
+
+            // userData is written to each node as glTF extras
+            const result = await exporter.parseAsync(this.buildExportScene(), { binary });
+
+            if (binary) {
+                this.downloadFile(`vr-scene-${Date.now()}.glb`, result, 'model/gltf-binary');
+            } else {
+                this.downloadFile(`vr-scene-${Date.now()}.gltf`, JSON.stringify(result, null, 2), 'model/gltf+json');
+            }
+            console.log(`Exported ${this.objects.length} objects as ${binary ? 'GLB' : 'glTF'}`);
+        } catch (error) {
+            console.error('glTF export failed:', error);
+            this.showVRError('Could not export scene: ' + error.message);
+        }
+    }
+
+    queueVRExport() {
+        if (!this.renderer.xr.isPresenting) {
+            this.exportScene(true);
+            return;
+        }
+
+        // Browsers can't show a download while immersive, so wait for the session to end
+        this.pendingVRExport = true;
+        this.updateMenuStates();
+        console.log('GLB export queued until the VR session ends');
+    }
+
+    downloadFile(filename, contents, mimeType) {
+        const blob = new Blob([contents], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    updateUI() {
+        const count = this.objects.length;
+        
+        // Update object counts
+        document.getElementById('object-count').textContent = `Objects: ${count}`;
+        const vrCount = document.getElementById('vr-object-count');
+        if (vrCount) vrCount.textContent = `Objects: ${count}`;
+        
+        // Update input method
+        document.getElementById('input-method').textContent = `Input: ${this.inputMethod}`;
+        document.getElementById('input-method').className = 
+            `status ${this.inputMethod.includes('vr') ? 'status--success' : 'status--info'}`;
+        
+        // Update VR mode indicator
+        const mode = this.isDeleteMode ? 'Delete' : 'Create';
+        const vrMode = document.getElementById('vr-mode-indicator');
+        if (vrMode) vrMode.textContent = `Mode: ${mode}`;
+        
+        this.refreshOutliner();
+        this.updateMenuStates();
+    }
+
+    refreshOutliner() {
+        this.isOutlinerDirty = true;
+    }
+
+    renderOutliner() {
+        const list = document.getElementById('outliner-list');
+        const outliner = document.getElementById('outliner');
+        if (!list) return;
+
+        // A closed outliner catches up when it opens; rebuilding would drop a rename in progress
+        if ((outliner && outliner.classList.contains('hidden')) || list.querySelector('.outliner-rename')) return;
+        this.isOutlinerDirty = false;
+
+        const empty = document.getElementById('outliner-empty');
+        if (empty) empty.classList.toggle('hidden', this.objects.length > 0);
+
+        const rows = this.objects.map(object => {
+            const row = document.createElement('li');
+            row.className = 'outliner-row';
+            row.classList.toggle('selected', this.selection.has(object));
+            row.classList.toggle('is-hidden', !object.visible);
+            row.classList.toggle('is-locked', Boolean(object.userData.locked));
+
+            const name = document.createElement('button');
+            name.className = 'outliner-name';
+            name.textContent = object.userData.objectType === GROUP_TYPE ?
+                `${object.name} (${object.children.length})` :
+                object.name;
+            name.title = 'Click to select, Shift+click to add, double-click to rename';
+            name.addEventListener('click', (event) => {
+                if (event.shiftKey || event.ctrlKey || event.metaKey) {
+                    this.toggleSelection(object);
+                } else {
+                    this.selectObject(object);
+                }
+            });
+            name.addEventListener('dblclick', () => this.startOutlinerRename(row, name, object));
+
+            const actions = [
+                {
+                    label: object.visible ? '👁️' : '🙈',
+                    title: object.visible ? 'Hide' : 'Show',
+                    run: () => this.changeObjectProperties(object, target => this.setObjectHidden(target, target.visible))
+                },
+                {
+                    label: object.userData.locked ? '🔒' : '🔓',
+                    title: object.userData.locked ? 'Unlock' : 'Lock',
+                    run: () => this.changeObjectProperties(object, target => this.setObjectLocked(target, !target.userData.locked))
+                },
+                {
+                    label: '🗑️',
+                    title: 'Delete',
+                    run: () => this.deleteObject(object)
+                }
+            ].map(({ label, title, run }) => {
+                const button = document.createElement('button');
+                button.className = 'outliner-action';
+                button.textContent = label;
+                button.title = title;
+                button.setAttribute('aria-label', `${title} ${object.name}`);
+                button.addEventListener('click', run);
+                return button;
+            });
+
+            row.append(name, ...actions);
+            return row;
+        });
+
+        list.replaceChildren(...rows);
+    }
+
+    startOutlinerRename(row, nameButton, object) {
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'form-control outliner-rename';
+        input.value = object.name;
+
+        let finished = false;
+        const finish = (save) => {
+            if (finished) return;
+            finished = true;
+
+            input.remove();
+            const name = input.value.trim();
+            if (save && name && name !== object.name) {
+                this.changeObjectProperties(object, target => {
+                    target.name = name;
+                });
+            } else {
+                this.renderOutliner();
+            }
+        };
+
+        input.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter') finish(true);
+            if (event.key === 'Escape') finish(false);
+        });
+        input.addEventListener('blur', () => finish(true));
+
+        row.replaceChild(input, nameButton);
+        input.focus();
+        input.select();
+    }
+
+    toggleOutliner(show) {
+        const outliner = document.getElementById('outliner');
+        if (!outliner) return;
+
+        const visible = show === undefined ? outliner.classList.contains('hidden') : show;
+        outliner.classList.toggle('hidden', !visible);
+        if (visible) {
+            this.renderOutliner();
+        }
+    }
+
+    setupCollaboration() {
+        this.collaboration = new CollaborationClient(this.loadCollaborationUser());
+        this.collaboration.onStatusChange = (status) => this.onCollaborationStatus(status);
+        this.collaboration.onPeersChange = (peers) => this.onCollaborationPeers(peers);
+        this.collaboration.onLockChange = (id, owner) => this.onRemoteLockChange(id, owner);
+        this.collaboration.onLockDenied = (id, owner) => this.onLockDenied(id, owner);
+        this.collaboration.onOperation = (message) => {
+            this.applyRemoteOperation(message).catch(error => {
+                console.warn(`Failed to apply remote ${message.type}:`, error);
+            });
+        };
+
+        const urlInput = document.getElementById('collab-url');
+        const roomInput = document.getElementById('collab-room');
+        const nameInput = document.getElementById('collab-name');
+        const connectBtn = document.getElementById('collab-connect');
+        if (!urlInput || !roomInput || !nameInput || !connectBtn) return;
+
+        const params = new URLSearchParams(window.location.search);
+        urlInput.value = params.get('collab') || `ws://${window.location.hostname || 'localhost'}:${COLLAB_DEFAULT_PORT}`;
+        roomInput.value = params.get('room') || COLLAB_DEFAULT_ROOM;
+        nameInput.value = this.collaboration.user.name;
+
+        nameInput.addEventListener('change', () => {
+            const name = nameInput.value.trim();
+            if (!name) {
+                nameInput.value = this.collaboration.user.name;
+                return;
+            }
+            this.collaboration.user.name = name;
+            this.saveCollaborationUser(this.collaboration.user);
+        });
+
+        connectBtn.addEventListener('click', () => {
+            if (this.collaboration.status === 'offline' || this.collaboration.status === 'error') {
+                this.collaboration.connect(urlInput.value.trim(), roomInput.value.trim() || COLLAB_DEFAULT_ROOM);
+            } else {
+                this.collaboration.disconnect();
+            }
+        });
+
+        // Shared links like ?collab=ws://192.168.1.20:8787&room=demo join straight
+        // away, which saves typing a server address on a headset
+        if (params.has('collab')) {
+            this.collaboration.connect(urlInput.value, roomInput.value);
+        }
+        this.updateCollaborationUI();
+    }
+
+    loadCollaborationUser() {
+        let saved = null;
+        try {
+            saved = JSON.parse(localStorage.getItem(COLLAB_USER_STORAGE_KEY));
+        } catch (error) {
+            console.warn('Failed to read collaboration settings:', error);
+        }
+
+        const user = {
+            // A fresh id per tab, so two tabs in one browser are two users
+            id: this.generateObjectId(),
+            name: (saved && saved.name) || `Guest ${Math.floor(100 + Math.random() * 900)}`,
+            color: (saved && saved.color) || AVATAR_COLORS[Math.floor(Math.random() * AVATAR_COLORS.length)]
+        };
+        this.saveCollaborationUser(user);
+        return user;
+    }
+
+    saveCollaborationUser(user) {
+        try {
+            localStorage.setItem(COLLAB_USER_STORAGE_KEY, JSON.stringify({ name: user.name, color: user.color }));
+        } catch (error) {
+            console.warn('Failed to save collaboration settings:', error);
+        }
+    }
+
+    isCollaborating() {
+        return Boolean(this.collaboration) &&
+            this.collaboration.isConnected &&
+            !this.isApplyingRemote &&
+            !this.isRestoringScene;
+    }
+
+    isLockedByPeer(object) {
+        return Boolean(this.collaboration) && this.collaboration.isLockedByOther(object.userData.id);
+    }
+
+    broadcastOperation(message) {
+        // Changes that came from peers or from loading a scene aren't echoed back
+        if (!this.isCollaborating()) return;
+        this.collaboration.send(message);
+    }
+
+    broadcastCreate(state) {
+        if (!this.isCollaborating()) return;
+        this.broadcastOperation({ type: 'create', state, models: this.shareModels([state]) });
+    }
+
+    broadcastTransform(object) {
+        // Only the owner of a held object reports where it is
+        if (this.isLockedByPeer(object)) return;
+        this.broadcastOperation({
+            type: 'transform',
+            id: object.userData.id,
+            transform: this.captureTransform(object)
+        });
+    }
+
+    shareModels(states) {
+        // Peers need each imported model only once per connection
+        const models = this.collectModels(states).filter(model => !this.sharedModelIds.has(model.id));
+        models.forEach(model => this.sharedModelIds.add(model.id));
+        return models.map(model => this.serializeModel(model));
+    }
+
+    requestObjectLock(object) {
+        if (this.collaboration) this.collaboration.requestLock(object.userData.id);
+    }
+
+    releaseObjectLock(object) {
+        // Send where the object ended up, then let peers grab it again
+        const id = object.userData.id;
+        if (!this.collaboration || !this.collaboration.ownsLock(id)) return;
+        if (this.grabStartTransforms.has(object)) return;
+
+        this.broadcastTransform(object);
+        this.collaboration.releaseLock(id);
+    }
+
+    async applyRemoteOperation(message) {
+        const object = message.id ? this.findObjectById(message.id) : null;
+
+        switch (message.type) {
+            case 'presence':
+                this.updateAvatarTarget(message);
+                return;
+            case 'sync-request':
+                // We have been in the room longest, so the newcomer gets our scene
+                this.collaboration.send({ type: 'sync', to: message.from, scene: this.serializeScene() });
+                this.modelLibrary.forEach((model, id) => this.sharedModelIds.add(id));
+                return;
+            case 'sync':
+            case 'scene':
+                await this.loadRemoteScene(message.scene);
+                return;
+            case 'create':
+                if (this.findObjectById(message.state.id)) return;
+                await this.restoreModels(message.models || []);
+                this.runRemoteOperation(() => this.createObject(message.state.type, message.state));
+                return;
+            case 'delete':
+                if (object) this.runRemoteOperation(() => this.deleteObject(object));
+                return;
+            case 'transform':
+                if (object) this.runRemoteOperation(() => this.applyTransform(object, message.transform));
+                return;
+            case 'properties':
+                if (!object) return;
+                this.runRemoteOperation(() => this.applyProperties(object, message.properties));
+                if (object === this.selectedObject) this.updateInspector();
+                return;
+            default:
+                console.warn(`Unknown collaboration message: ${message.type}`);
+        }
+    }
+
+    runRemoteOperation(action) {
+        this.isApplyingRemote = true;
+        try {
+            action();
+        } finally {
+            this.isApplyingRemote = false;
+        }
+    }
+
+    async loadRemoteScene(data) {
+        // Parse models up front, so the flag below only covers loadScene's synchronous rebuild
+        const scene = this.migrateScene(data);
+        await this.restoreModels(scene.models);
+        scene.models.forEach(model => this.sharedModelIds.add(model.id));
+
+        this.isApplyingRemote = true;
+        try {
+            await this.loadScene(scene);
+        } finally {
+            this.isApplyingRemote = false;
+        }
+        this.setSelection([]);
+    }
+
+    onRemoteLockChange(id, owner) {
+        const object = this.findObjectById(id);
+
+        // Objects we are holding or carrying keep their own highlight and physics state
+        if (!object || this.grabStartTransforms.has(object)) return;
+
+        if (owner) {
+            // Tint in the owner's color and follow their transforms instead of simulating
+            const peer = this.collaboration.peers.get(owner);
+            const tint = new THREE.Color(peer ? peer.color : 0x444444).multiplyScalar(0.4);
+            this.setEmissive(object, tint.getHex());
+            this.physics.setHeld(object, true);
+            if (this.selection.has(object)) {
+                this.toggleSelection(object);
+            }
+        } else {
+            this.setEmissive(object, 0x000000);
+            this.physics.setHeld(object, Boolean(object.userData.locked));
+            this.physics.resetBody(object);
+        }
+        this.refreshOutliner();
+    }
+
+    onLockDenied(id, owner) {
+        const object = this.findObjectById(id);
+        if (!object) return;
+
+        // A peer grabbed it first: put it back and let go without recording a move
+        const start = this.grabStartTransforms.get(object);
+        if (start) {
+            this.applyTransform(object, start);
+        }
+        this.getGrabSources(object).forEach(source => this.releaseObject(source));
+        this.detachFollower(object);
+        this.onRemoteLockChange(id, owner);
+        console.log('Object is being held by someone else');
+    }
+
+    onCollaborationStatus(status) {
+        if (status === 'connecting') {
+            // Anyone in the room may be new, so models are sent again as needed
+            this.sharedModelIds.clear();
+        }
+        if (status !== 'connected') {
+            [...this.avatars.keys()].forEach(id => this.removeAvatar(id));
+        }
+        console.log(`Collaboration: ${status}`);
+        this.updateCollaborationUI();
+    }
+
+    onCollaborationPeers(peers) {
+        [...this.avatars.keys()]
+            .filter(id => !peers.has(id))
+            .forEach(id => this.removeAvatar(id));
+        this.updateCollaborationUI();
+    }
+
+    updateCollaborationUI() {
+        const statusEl = document.getElementById('collab-status');
+        const connectBtn = document.getElementById('collab-connect');
+        if (!statusEl || !connectBtn || !this.collaboration) return;
+
+        const { status, peers } = this.collaboration;
+        const labels = {
+            offline: 'Offline',
+            connecting: 'Connecting...',
+            reconnecting: 'Reconnecting...',
+            connected: `Connected · ${peers.size} other${peers.size === 1 ? '' : 's'}`,
+            error: 'Connection failed'
+        };
+        const classes = {
+            offline: 'status--info',
+            connecting: 'status--warning',
+            reconnecting: 'status--warning',
+            connected: 'status--success',
+            error: 'status--error'
+        };
+        statusEl.textContent = labels[status];
+        statusEl.className = `status ${classes[status]}`;
+
+        const isOffline = status === 'offline' || status === 'error';
+        connectBtn.textContent = isOffline ? '🤝 Connect' : '🔌 Disconnect';
+        ['collab-url', 'collab-room', 'collab-name'].forEach(id => {
+            document.getElementById(id).disabled = !isOffline;
+        });
+    }
+
+    updateCollaboration(delta) {
+        this.updateAvatars(delta);
+        if (!this.collaboration || !this.collaboration.isConnected) return;
+
+        const now = performance.now();
+
+        // Stream poses of everything we own: held objects, their followers and throws in flight
+        if (now - this.lastTransformBroadcast >= COLLAB_TRANSFORM_INTERVAL) {
+            this.lastTransformBroadcast = now;
+            this.objects
+                .filter(object => this.collaboration.ownsLock(object.userData.id))
+                .forEach(object => this.broadcastTransform(object));
+        }
+
+        if (now - this.lastPresenceBroadcast >= COLLAB_PRESENCE_INTERVAL) {
+            this.lastPresenceBroadcast = now;
+            this.broadcastPresence();
+        }
+    }
+
+    broadcastPresence() {
+        const getPose = (object) => ({
+            position: object.getWorldPosition(new THREE.Vector3()).toArray(),
+            quaternion: object.getWorldQuaternion(new THREE.Quaternion()).toArray()
+        });
+
+        // Controllers only count while tracked in VR
+        const isPresenting = this.renderer.xr.isPresenting;
+        this.collaboration.send({
+            type: 'presence',
+            head: getPose(this.camera),
+            hands: this.controllers.map(controller =>
+                isPresenting && controller.visible ? getPose(controller) : null
+            )
+        });
+    }
+
+    createAvatar(peer) {
+        const material = new THREE.MeshLambertMaterial({ color: peer.color });
+        const group = new THREE.Group();
+        group.name = `Avatar: ${peer.name}`;
+
+        const head = new THREE.Mesh(new THREE.SphereGeometry(0.12, 16, 12), material);
+        const visor = new THREE.Mesh(
+            new THREE.BoxGeometry(0.18, 0.06, 0.04),
+            new THREE.MeshBasicMaterial({ color: 0x222222 })
+        );
+        visor.position.set(0, 0.02, -0.11);
+        head.add(visor);
+        group.add(head);
+
+        // Name tag stays upright above the head rather than tilting with it
+        const label = new THREE.Sprite(new THREE.SpriteMaterial({ map: this.createTextTexture(peer.name) }));
+        label.scale.set(0.4, 0.1, 1);
+        group.add(label);
+
+        const hands = [0, 1].map(() => {
+            const hand = new THREE.Mesh(new THREE.BoxGeometry(0.05, 0.05, 0.14), material);
+            hand.visible = false;
+            group.add(hand);
+            return hand;
+        });
+
+        // Poses ease towards the latest presence so 10 Hz updates look smooth
+        [head, ...hands].forEach(part => {
+            part.userData.targetPosition = new THREE.Vector3();
+            part.userData.targetQuaternion = new THREE.Quaternion();
+        });
+
+        const avatar = { group, head, label, hands, hasPose: false };
+        this.scene.add(group);
+        this.avatars.set(peer.id, avatar);
+        return avatar;
+    }
+
+    updateAvatarTarget(message) {
+        const peer = this.collaboration.peers.get(message.from);
+        if (!peer) return;
+
+        const avatar = this.avatars.get(peer.id) || this.createAvatar(peer);
+        const setTarget = (part, pose) => {
+            part.userData.targetPosition.fromArray(pose.position);
+            part.userData.targetQuaternion.fromArray(pose.quaternion);
+            // Jump straight there the first time rather than flying in from the origin
+            if (!avatar.hasPose || !part.visible) {
+                part.position.copy(part.userData.targetPosition);
+                part.quaternion.copy(part.userData.targetQuaternion);
+            }
+        };
+
+        setTarget(avatar.head, message.head);
+        avatar.hands.forEach((hand, i) => {
+            const pose = message.hands[i];
+            if (pose) setTarget(hand, pose);
+            hand.visible = Boolean(pose);
+        });
+        avatar.hasPose = true;
+    }
+
+    updateAvatars(delta) {
+        const alpha = 1 - Math.exp(-AVATAR_SMOOTHING * delta);
+        this.avatars.forEach(avatar => {
+            [avatar.head, ...avatar.hands].forEach(part => {
+                part.position.lerp(part.userData.targetPosition, alpha);
+                part.quaternion.slerp(part.userData.targetQuaternion, alpha);
+            });
+            avatar.label.position.copy(avatar.head.position);
+            avatar.label.position.y += 0.25;
+        });
+    }
+
+    removeAvatar(id) {
+        const avatar = this.avatars.get(id);
+        if (!avatar) return;
+
+        this.scene.remove(avatar.group);
+        avatar.group.traverse(child => {
+            if (child.geometry) child.geometry.dispose();
+            if (child.material) {
+                if (child.material.map) child.material.map.dispose();
+                child.material.dispose();
+            }
+        });
+        this.avatars.delete(id);
+    }
+
+    showVRError(message) {
+        console.error('VR Error:', message);
+        // Could add UI notification here
+    }
+
+    setupEventListeners() {
+        // Window resize
+        window.addEventListener('resize', () => this.onWindowResize());
+
+        // Mouse interaction for desktop. The pointerdown listener captures so it
+        // runs before OrbitControls and can disable it when a drag starts.
+        const canvas = this.renderer.domElement;
+        canvas.addEventListener('pointerdown', (e) => this.handleMouseInteraction(e), { capture: true });
+        canvas.addEventListener('pointermove', (e) => this.onFlyLook(e));
+        canvas.addEventListener('pointermove', (e) => this.updateMouseRay(e));
+        canvas.addEventListener('pointermove', (e) => this.onMouseDragMove(e));
+        canvas.addEventListener('pointerup', (e) => this.endMouseDrag(e));
+        canvas.addEventListener('pointercancel', (e) => this.endMouseDrag(e));
+
+        // Box and lasso selection
+        canvas.addEventListener('pointermove', (e) => this.onMarqueeMove(e));
+        canvas.addEventListener('pointerup', (e) => this.endMarqueeSelect(e));
+        canvas.addEventListener('pointercancel', (e) => this.endMarqueeSelect(e));
+
+        // Losing the pointer lock (Escape, switching tabs) drops whatever was being dragged
+        document.addEventListener('pointerlockchange', () => {
+            if (this.isPointerLocked()) {
+                this.mouse.set(0, 0);
+            } else if (this.isMouseDragging) {
+                this.endMouseDrag();
+            }
+            this.updateCameraModeUI();
+        });
+
+        // Physics toggle button
+        const physicsToggle = document.getElementById('toggle-physics');
+        if (physicsToggle) {
+            physicsToggle.addEventListener('click', () => {
+                this.setPhysicsEnabled(!this.physicsEnabled);
+            });
+        }
+
+        // Spawn placement policy
+        const spawnSelect = document.getElementById('spawn-policy');
+        if (spawnSelect) {
+            spawnSelect.addEventListener('change', () => this.setSpawnPolicy(spawnSelect.value));
+        }
+
+        // Snapping controls
+        const snapEnabled = document.getElementById('snap-enabled');
+        if (snapEnabled) {
+            snapEnabled.addEventListener('change', () => {
+                this.setSnapSettings({ enabled: snapEnabled.checked });
+            });
+        }
+
+        const snapStep = document.getElementById('snap-step');
+        if (snapStep) {
+            snapStep.addEventListener('change', () => {
+                const step = parseFloat(snapStep.value);
+                if (step > 0) {
+                    this.setSnapSettings({ positionStep: step });
+                } else {
+                    snapStep.value = this.snapSettings.positionStep;
+                }
+            });
         }
-    }
 
-    handleObjectInteraction(object, controller, controllerIndex) {
-        // Handle menu interactions
-        if (object.userData.type === 'menuButton') {
-            this.highlightButton(object);
-            this.createObject(object.userData.objectType);
-            return;
+        const snapRotation = document.getElementById('snap-rotation');
+        if (snapRotation) {
+            snapRotation.addEventListener('change', () => {
+                const degrees = parseFloat(snapRotation.value);
+                if (degrees > 0 && degrees <= 180) {
+                    this.setSnapSettings({ rotationStep: degrees });
+                } else {
+                    snapRotation.value = this.snapSettings.rotationStep;
+                }
+            });
         }
 
-        if (object.userData.type === 'deleteButton') {
-            this.highlightButton(object);
-            this.isDeleteMode = !this.isDeleteMode;
-            this.updateDeleteMode();
-            return;
+        const snapSurface = document.getElementById('snap-surface');
+        if (snapSurface) {
+            snapSurface.addEventListener('change', () => {
+                this.setSnapSettings({ surfaceSnap: snapSurface.checked });
+            });
         }
 
-        // Handle object interactions
-        if (this.isDeleteMode && object.userData.type === 'interactable') {
-            this.deleteObject(object);
-            return;
+        // Delete toggle button
+        const deleteToggle = document.getElementById('toggle-delete');
+        if (deleteToggle) {
+            deleteToggle.addEventListener('click', () => {
+                this.isDeleteMode = !this.isDeleteMode;
+                this.updateDeleteMode();
+            });
         }
 
-        if (object.userData.type === 'interactable') {
-            this.grabObject(object, controller, controllerIndex);
+        // The object count opens the outliner
+        const objectCount = document.getElementById('object-count');
+        if (objectCount) {
+            objectCount.addEventListener('click', (event) => {
+                event.preventDefault();
+                this.toggleOutliner();
+            });
         }
-    }
 
-    highlightButton(button) {
-        // Reset all buttons to original state
-        this.menuButtons.forEach(btn => {
-            btn.material.color.setHex(btn.userData.originalColor);
-            btn.material.opacity = btn.userData.originalOpacity;
+        const closeOutliner = document.getElementById('close-outliner');
+        if (closeOutliner) {
+            closeOutliner.addEventListener('click', () => this.toggleOutliner(false));
+        }
+
+        // Duplicate and clipboard buttons
+        const duplicateButton = document.getElementById('duplicate-selection');
+        if (duplicateButton) {
+            duplicateButton.addEventListener('click', () => this.duplicateSelection());
+        }
+
+        const copyButton = document.getElementById('copy-selection');
+        if (copyButton) {
+            copyButton.addEventListener('click', () => this.copySelectionToClipboard());
+        }
+
+        const pasteButton = document.getElementById('paste-selection');
+        if (pasteButton) {
+            pasteButton.addEventListener('click', () => this.pasteFromClipboard());
+        }
+
+        // Ctrl+C/X/V carry selected objects through the system clipboard,
+        // unless a form field is focused or page text is selected
+        const isCopyingText = (event) => 
+            (event.target.closest && event.target.closest('input, textarea, select')) ||
+            !window.getSelection().isCollapsed;
+
+        document.addEventListener('copy', (event) => {
+            if (isCopyingText(event)) return;
+            const payload = this.getClipboardPayload();
+            if (!payload) return;
+
+            event.clipboardData.setData('text/plain', payload);
+            event.preventDefault();
+            console.log(`Copied ${this.selection.size} objects`);
         });
 
-        // Highlight clicked button
-        button.material.color.setHex(0xFFFFFF);
-        button.material.opacity = 1.0;
+        document.addEventListener('cut', (event) => {
+            if (isCopyingText(event)) return;
+            const payload = this.getClipboardPayload();
+            if (!payload) return;
 
-        // Reset highlight after short delay
-        setTimeout(() => {
-            button.material.color.setHex(button.userData.originalColor);
-            button.material.opacity = button.userData.originalOpacity;
-        }, 300);
-    }
+            event.clipboardData.setData('text/plain', payload);
+            event.preventDefault();
+            this.deleteSelection();
+        });
+
+        document.addEventListener('paste', (event) => {
+            if (event.target.closest && event.target.closest('input, textarea, select')) return;
 
-    createObject(type) {
-        let geometry;
-        const material = new THREE.MeshLambertMaterial({ 
-            color: this.getObjectColor(type)
+            const text = event.clipboardData.getData('text/plain');
+            if (!text.includes(CLIPBOARD_FORMAT)) return;
+
+            event.preventDefault();
+            this.pasteObjects(text).catch(error => {
+                console.warn('Paste failed:', error);
+                this.showVRError('Could not paste the copied objects: ' + error.message);
+            });
         });
 
-        // Create geometry based on type
-        switch (type) {
-            case 'cube':
-                geometry = new THREE.BoxGeometry(0.5, 0.5, 0.5);
-                break;
-            case 'sphere':
-                geometry = new THREE.SphereGeometry(0.25, 16, 12);
-                break;
-            case 'cylinder':
-                geometry = new THREE.CylinderGeometry(0.25, 0.25, 0.5, 16);
-                break;
-            case 'cone':
-                geometry = new THREE.ConeGeometry(0.25, 0.5, 16);
-                break;
-            case 'torus':
-                geometry = new THREE.TorusGeometry(0.25, 0.1, 8, 16);
-                break;
-            case 'tetrahedron':
-                geometry = new THREE.TetrahedronGeometry(0.3);
-                break;
-            default:
-                geometry = new THREE.BoxGeometry(0.5, 0.5, 0.5);
+        // Selection grouping buttons
+        const groupButton = document.getElementById('group-selection');
+        if (groupButton) {
+            groupButton.addEventListener('click', () => this.groupSelection());
         }
 
-        const object = new THREE.Mesh(geometry, material);
-        
-        // Random position on platform
-        object.position.set(
-            (Math.random() - 0.5) * 3,
-            1 + Math.random() * 0.5,
-            (Math.random() - 0.5) * 3
-        );
-        
-        // Enable shadows
-        object.castShadow = true;
-        object.receiveShadow = true;
-        
-        // Set user data
-        object.userData = { 
-            type: 'interactable',
-            objectType: type,
-            id: Date.now(),
-            created: new Date()
-        };
+        const ungroupButton = document.getElementById('ungroup-selection');
+        if (ungroupButton) {
+            ungroupButton.addEventListener('click', () => this.ungroupSelection());
+        }
 
-        this.objects.push(object);
-        this.scene.add(object);
-        
-        console.log(`Created ${type} object. Total objects: ${this.objects.length}`);
-        this.updateUI();
-    }
+        // Scene save/load buttons
+        const saveButton = document.getElementById('save-scene');
+        if (saveButton) {
+            saveButton.addEventListener('click', () => this.saveSceneToFile());
+        }
 
-    deleteObject(object) {
-        const index = this.objects.indexOf(object);
-        if (index > -1) {
-            this.objects.splice(index, 1);
-            this.scene.remove(object);
-            
-            // Dispose of geometry and material to free memory
-            object.geometry.dispose();
-            object.material.dispose();
-            
-            console.log(`Deleted object. Total objects: ${this.objects.length}`);
-            this.updateUI();
+        const loadButton = document.getElementById('load-scene');
+        if (loadButton) {
+            loadButton.addEventListener('click', () => this.loadSavedScene());
         }
-    }
 
-    grabObject(object, controller, controllerIndex) {
-        this.grabbedObject = object;
-        this.grabbedController = controllerIndex;
-        
-        if (controller) {
-            // Calculate grab offset for VR
-            const controllerPosition = new THREE.Vector3();
-            controllerPosition.setFromMatrixPosition(controller.matrixWorld);
-            this.grabOffset.copy(object.position).sub(controllerPosition);
+        const importButton = document.getElementById('import-scene');
+        const importInput = document.getElementById('import-scene-input');
+        if (importButton && importInput) {
+            importButton.addEventListener('click', () => importInput.click());
+            importInput.addEventListener('change', () => {
+                const file = importInput.files[0];
+                if (file) {
+                    this.importSceneFile(file);
+                }
+                importInput.value = '';
+            });
         }
-        
-        // Store initial rotation
-        this.grabRotationOffset.copy(object.quaternion);
-        
-        // Visual feedback
-        object.material.emissive.setHex(0x444444);
-        
-        console.log('Object grabbed:', object.userData.objectType);
-    }
 
-    releaseObject() {
-        if (this.grabbedObject) {
-            this.grabbedObject.material.emissive.setHex(0x000000);
-            console.log('Object released:', this.grabbedObject.userData.objectType);
-            this.grabbedObject = null;
-            this.grabbedController = null;
+        // Model import via file picker
+        const importModelButton = document.getElementById('import-model');
+        const importModelInput = document.getElementById('import-model-input');
+        if (importModelButton && importModelInput) {
+            importModelButton.addEventListener('click', () => importModelInput.click());
+            importModelInput.addEventListener('change', () => {
+                [...importModelInput.files].forEach(file => this.importModelFile(file));
+                importModelInput.value = '';
+            });
         }
-    }
 
-    updateGrabbedObject() {
-        if (this.grabbedObject && this.grabbedController !== null && this.controllers[this.grabbedController]) {
-            const controller = this.controllers[this.grabbedController];
-            
-            // Update position
-            const controllerPosition = new THREE.Vector3();
-            controllerPosition.setFromMatrixPosition(controller.matrixWorld);
-            this.grabbedObject.position.copy(controllerPosition).add(this.grabOffset);
-            
-            // Update rotation based on controller rotation
-            const controllerQuaternion = new THREE.Quaternion();
-            controllerQuaternion.setFromRotationMatrix(controller.matrixWorld);
-            this.grabbedObject.quaternion.copy(controllerQuaternion);
-            
-            // Keep object above ground
-            if (this.grabbedObject.position.y < 0.25) {
-                this.grabbedObject.position.y = 0.25;
-            }
+        // Model import via drag-and-drop onto the canvas
+        canvas.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            canvas.classList.add('drop-target');
+        });
+        canvas.addEventListener('dragleave', () => canvas.classList.remove('drop-target'));
+        canvas.addEventListener('drop', (e) => {
+            e.preventDefault();
+            canvas.classList.remove('drop-target');
+
+            // Spawn where the files were dropped
+            this.updateMouseRay(e);
+            [...e.dataTransfer.files].forEach(file => this.importModelFile(file, this.getPointerSpawn()));
+        });
+
+        // glTF export buttons
+        const exportGlb = document.getElementById('export-glb');
+        if (exportGlb) {
+            exportGlb.addEventListener('click', () => this.exportScene(true));
         }
-    }
 
-    updateDeleteMode() {
-        const deleteButton = this.menuButtons.find(btn => 
-            btn.userData.type === 'deleteButton'
-        );
-        
-        if (deleteButton) {
-            const newColor = this.isDeleteMode ? 0x00FF00 : 0xFF0000;
-            deleteButton.material.color.setHex(newColor);
-            deleteButton.userData.originalColor = newColor;
+        const exportGltf = document.getElementById('export-gltf');
+        if (exportGltf) {
+            exportGltf.addEventListener('click', () => this.exportScene(false));
         }
 
-        // Update desktop button
-        const toggleDeleteBtn = document.getElementById('toggle-delete');
-        if (toggleDeleteBtn) {
-            if (this.isDeleteMode) {
-                toggleDeleteBtn.textContent = '🗑️ Delete Mode: ON';
-                toggleDeleteBtn.classList.add('delete-active');
-            } else {
-                toggleDeleteBtn.textContent = '🗑️ Delete Mode: OFF';
-                toggleDeleteBtn.classList.remove('delete-active');
-            }
+        // Locomotion comfort settings
+        const moveSpeed = document.getElementById('move-speed');
+        if (moveSpeed) {
+            moveSpeed.addEventListener('input', () => {
+                this.setLocomotionSettings({ moveSpeed: Number(moveSpeed.value) });
+            });
         }
-        
-        console.log(`Delete mode: ${this.isDeleteMode ? 'ON' : 'OFF'}`);
-        this.updateUI();
-    }
 
-    updateUI() {
-        const count = this.objects.length;
-        
-        // Update object counts
-        document.getElementById('object-count').textContent = `Objects: ${count}`;
-        const vrCount = document.getElementById('vr-object-count');
-        if (vrCount) vrCount.textContent = `Objects: ${count}`;
-        
-        // Update input method
-        document.getElementById('input-method').textContent = `Input: ${this.inputMethod}`;
-        document.getElementById('input-method').className = 
-            `status ${this.inputMethod.includes('vr') ? 'status--success' : 'status--info'}`;
-        
-        // Update VR mode indicator
-        const mode = this.isDeleteMode ? 'Delete' : 'Create';
-        const vrMode = document.getElementById('vr-mode-indicator');
-        if (vrMode) vrMode.textContent = `Mode: ${mode}`;
-    }
+        const turnMode = document.getElementById('turn-mode');
+        if (turnMode) {
+            turnMode.addEventListener('change', () => {
+                this.setLocomotionSettings({ turnMode: turnMode.value });
+            });
+        }
 
-    showVRError(message) {
-        console.error('VR Error:', message);
-        // Could add UI notification here
-    }
+        const snapTurnAngle = document.getElementById('snap-turn-angle');
+        if (snapTurnAngle) {
+            snapTurnAngle.addEventListener('change', () => {
+                const angle = THREE.MathUtils.clamp(Number(snapTurnAngle.value) || DEFAULT_LOCOMOTION_SETTINGS.snapTurnAngle, 5, 90);
+                this.setLocomotionSettings({ snapTurnAngle: angle });
+            });
+        }
 
-    setupEventListeners() {
-        // Window resize
-        window.addEventListener('resize', () => this.onWindowResize());
+        const comfortVignette = document.getElementById('comfort-vignette');
+        if (comfortVignette) {
+            comfortVignette.addEventListener('change', () => {
+                this.setLocomotionSettings({ vignette: comfortVignette.checked });
+            });
+        }
+        this.updateLocomotionUI();
 
-        // Mouse interaction for desktop
-        this.renderer.domElement.addEventListener('click', (e) => this.handleMouseInteraction(e));
-
-        // Desktop creation buttons
-        const createButtons = document.querySelectorAll('.create-btn');
-        createButtons.forEach(button => {
-            button.addEventListener('click', (e) => {
-                const type = e.target.dataset.type;
-                if (type) {
-                    this.createObject(type);
-                    console.log(`Desktop button clicked: ${type}`);
-                }
+        const menuPlacement = document.getElementById('menu-placement');
+        if (menuPlacement) {
+            menuPlacement.addEventListener('change', () => this.setMenuPlacementMode(menuPlacement.value));
+        }
+        this.updateMenuPlacementUI();
+
+        const adaptiveQuality = document.getElementById('adaptive-quality');
+        if (adaptiveQuality) {
+            adaptiveQuality.addEventListener('change', () => {
+                this.setPerformanceSettings({ adaptiveQuality: adaptiveQuality.checked });
             });
-        });
+        }
+        const instancing = document.getElementById('instancing');
+        if (instancing) {
+            instancing.addEventListener('change', () => {
+                this.setPerformanceSettings({ instancing: instancing.checked });
+            });
+        }
+        this.updatePerformanceUI();
 
-        // Delete toggle button
-        const deleteToggle = document.getElementById('toggle-delete');
-        if (deleteToggle) {
-            deleteToggle.addEventListener('click', () => {
-                this.isDeleteMode = !this.isDeleteMode;
-                this.updateDeleteMode();
+        const hapticIntensity = document.getElementById('haptic-intensity');
+        if (hapticIntensity) {
+            hapticIntensity.addEventListener('change', () => {
+                this.setHapticIntensity(Number(hapticIntensity.value) / 100);
+            });
+        }
+        this.updateHapticsUI();
+
+        // Desktop camera mode and key bindings
+        const cameraModeToggle = document.getElementById('toggle-camera-mode');
+        if (cameraModeToggle) {
+            cameraModeToggle.addEventListener('click', () => {
+                this.setCameraMode(this.cameraMode === 'fly' ? 'orbit' : 'fly');
+            });
+        }
+        this.updateCameraModeUI();
+
+        const keyBindingsButton = document.getElementById('open-keybindings');
+        if (keyBindingsButton) {
+            keyBindingsButton.addEventListener('click', () => this.toggleKeyBindings());
+        }
+
+        const closeKeyBindings = document.getElementById('close-keybindings');
+        if (closeKeyBindings) {
+            closeKeyBindings.addEventListener('click', () => this.toggleKeyBindings(false));
+        }
+
+        const resetKeyBindings = document.getElementById('reset-keybindings');
+        if (resetKeyBindings) {
+            resetKeyBindings.addEventListener('click', () => this.resetKeyBindings());
+        }
+
+        const exportEnvironment = document.getElementById('export-environment');
+        if (exportEnvironment) {
+            exportEnvironment.addEventListener('change', () => {
+                this.exportIncludeEnvironment = exportEnvironment.checked;
             });
         }
 
+        // Flush pending autosave before leaving the page
+        window.addEventListener('beforeunload', () => {
+            if (this.autosaveTimer) {
+                this.autosave();
+            }
+        });
+
         // Close buttons for dialogs
         const closeError = document.getElementById('close-error');
         if (closeError) {
@@ -930,23 +6278,61 @@ class VRObjectCreator {
         // VR session events
         if (this.renderer.xr) {
             this.renderer.xr.addEventListener('sessionstart', () => {
-                console.log('VR session started');
+                // Passthrough sessions blend with the real world instead of covering it
+                const blendMode = this.renderer.xr.getEnvironmentBlendMode();
+                if (blendMode === 'alpha-blend' || blendMode === 'additive') {
+                    this.startARSession();
+                }
+                console.log(`${this.isARSession ? 'AR' : 'VR'} session started`);
                 document.body.classList.add('vr-mode');
                 document.getElementById('vr-overlay').classList.remove('hidden');
                 this.inputMethod = 'vr-session';
+                this.renderer.shadowMap.needsUpdate = true;
+                this.resetQualitySamples();
+                this.isMenuSummoned = false;
+                this.placeMenu();
+                this.heldKeyActions.clear();
+                if (this.isPointerLocked()) {
+                    document.exitPointerLock();
+                }
+                this.updateInspector();
                 this.updateUI();
             });
 
             this.renderer.xr.addEventListener('sessionend', () => {
-                console.log('VR session ended');
+                console.log(`${this.isARSession ? 'AR' : 'VR'} session ended`);
+                if (this.isARSession) {
+                    this.endARSession();
+                }
                 document.body.classList.remove('vr-mode');
                 document.getElementById('vr-overlay').classList.add('hidden');
                 this.inputMethod = 'desktop';
+                this.renderer.shadowMap.needsUpdate = true;
+                this.resetQualitySamples();
+                // Pixel ratio can't change mid-session, so catch up with the current level
+                this.setQualityLevel(this.qualityLevel);
+                this.inspectorDrags.clear();
+                this.menuDrag = null;
+                this.isMenuSummoned = false;
+                this.placeMenu();
+                this.cancelTeleport();
+                if (this.cameraMode === 'fly') {
+                    this.syncFlyView();
+                }
+                this.commitPropertyEdit();
+                this.updateInspector();
                 this.updateUI();
                 
                 // Show desktop instructions again
                 document.getElementById('vr-instructions').classList.add('hidden');
                 document.getElementById('desktop-instructions').classList.remove('hidden');
+                
+                // Run an export requested from the VR menu
+                if (this.pendingVRExport) {
+                    this.pendingVRExport = false;
+                    this.updateMenuStates();
+                    this.exportScene(true);
+                }
             });
         }
 
@@ -974,35 +6360,203 @@ class VRObjectCreator {
             });
         }
 
+        this.setupInspectorListeners();
+
         // Keyboard controls for desktop
         document.addEventListener('keydown', (event) => this.onKeyDown(event));
+        document.addEventListener('keyup', (event) => this.heldKeyActions.delete(this.getKeyAction(event.code)));
+        window.addEventListener('blur', () => this.heldKeyActions.clear());
     }
 
     onKeyDown(event) {
         if (this.inputMethod.includes('vr')) return; // Skip keyboard in VR mode
+        if (event.target.closest && event.target.closest('input, textarea, select')) return; // Typing in a form field
         
-        switch (event.code) {
-            case 'KeyC':
-                this.createObject('cube');
-                break;
-            case 'KeyS':
-                this.createObject('sphere');
-                break;
-            case 'KeyT':
-                this.createObject('torus');
+        // The key bindings panel takes the next key press while a binding is being changed
+        if (this.rebindingAction) {
+            event.preventDefault();
+            this.finishRebinding(event.code);
+            return;
+        }
+        
+        // Undo/redo shortcuts
+        if (event.ctrlKey || event.metaKey) {
+            if (event.code === 'KeyZ') {
+                event.preventDefault();
+                if (event.shiftKey) {
+                    this.redo();
+                } else {
+                    this.undo();
+                }
+            } else if (event.code === 'KeyY') {
+                event.preventDefault();
+                this.redo();
+            } else if (event.code === 'KeyD') {
+                event.preventDefault();
+                this.duplicateSelection();
+            } else if (event.code === 'KeyG') {
+                event.preventDefault();
+                if (event.shiftKey) {
+                    this.ungroupSelection();
+                } else {
+                    this.groupSelection();
+                }
+            }
+            return;
+        }
+        
+        const action = this.getKeyAction(event.code);
+        
+        // Movement and sprint keys are held, so they're tracked until keyup
+        if (MOVE_ACTIONS[action] || action === 'sprint') {
+            this.heldKeyActions.add(action);
+            return;
+        }
+        
+        // Object type hotkeys come from the registry
+        if (action && action.startsWith('create:')) {
+            const typeId = action.slice('create:'.length);
+            if (this.objectTypes.has(typeId)) {
+                this.createObject(typeId, null, this.getPointerSpawn());
+            }
+            return;
+        }
+        
+        switch (action) {
+            case 'toggleFly':
+                this.setCameraMode(this.cameraMode === 'fly' ? 'orbit' : 'fly');
                 break;
-            case 'KeyD':
+            case 'toggleDelete':
                 this.isDeleteMode = !this.isDeleteMode;
                 this.updateDeleteMode();
                 break;
-            case 'Escape':
-                if (this.grabbedObject) {
+            case 'deleteSelection':
+                this.deleteSelection();
+                break;
+            case 'cancel':
+                if (this.isMouseDragging) {
+                    this.endMouseDrag();
+                } else if (this.grabs.size > 0) {
                     this.releaseObject();
+                } else {
+                    this.selectObject(null);
                 }
                 break;
+            default:
+                // Backspace deletes too, unless it has been bound to something else
+                if (event.code === 'Backspace') {
+                    this.deleteSelection();
+                }
+        }
+    }
+
+    loadPerformanceSettings() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(PERFORMANCE_STORAGE_KEY));
+            return { ...DEFAULT_PERFORMANCE_SETTINGS, ...saved };
+        } catch (error) {
+            console.warn('Failed to read performance settings:', error);
+            return { ...DEFAULT_PERFORMANCE_SETTINGS };
+        }
+    }
+
+    setPerformanceSettings(settings) {
+        Object.assign(this.performanceSettings, settings);
+        this.instanceBatcher.enabled = this.performanceSettings.instancing;
+
+        // Without adaptive quality everything renders at full quality
+        if (!this.performanceSettings.adaptiveQuality) {
+            this.qualityUpgradeDelay = QUALITY_UPGRADE_DELAY;
+            this.setQualityLevel(0);
+        }
+        this.resetQualitySamples();
+
+        try {
+            localStorage.setItem(PERFORMANCE_STORAGE_KEY, JSON.stringify(this.performanceSettings));
+        } catch (error) {
+            console.warn('Failed to save performance settings:', error);
+        }
+        this.updatePerformanceUI();
+    }
+
+    setQualityLevel(level) {
+        this.qualityLevel = THREE.MathUtils.clamp(level, 0, QUALITY_LEVELS.length - 1);
+        const { pixelRatio, shadowMapSize, foveation } = QUALITY_LEVELS[this.qualityLevel];
+
+        // A headset's resolution is fixed for the session, so in VR the level
+        // trades edge sharpness through foveation and sets the next session's resolution
+        this.renderer.xr.setFoveation(foveation);
+        if (!this.renderer.xr.isPresenting) {
+            this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2) * pixelRatio);
+            this.renderer.xr.setFramebufferScaleFactor(pixelRatio);
+        }
+
+        const shadow = this.sunLight && this.sunLight.shadow;
+        if (shadow && shadow.mapSize.x !== shadowMapSize) {
+            shadow.mapSize.set(shadowMapSize, shadowMapSize);
+            // Reallocated at the new size on the next shadow render
+            if (shadow.map) {
+                shadow.map.dispose();
+                shadow.map = null;
+            }
+            this.renderer.shadowMap.needsUpdate = true;
+        }
+        this.updatePerformanceUI();
+    }
+
+    getTargetFrameRate() {
+        const session = this.renderer.xr.getSession();
+        return session ? (session.frameRate || XR_FRAME_RATE) : DESKTOP_FRAME_RATE;
+    }
+
+    resetQualitySamples() {
+        this.qualityFrames = 0;
+        this.qualityTime = 0;
+        this.qualityOnBudgetTime = 0;
+    }
+
+    updateAdaptiveQuality(delta) {
+        if (!this.performanceSettings.adaptiveQuality || delta > QUALITY_MAX_FRAME_TIME) return;
+
+        this.qualityFrames++;
+        this.qualityTime += delta;
+        if (this.qualityTime < QUALITY_SAMPLE_TIME) return;
+
+        // Average frame time over the sample against the display's frame budget
+        const frameTime = this.qualityTime / this.qualityFrames;
+        const sampleTime = this.qualityTime;
+        this.qualityFrames = 0;
+        this.qualityTime = 0;
+
+        if (frameTime > QUALITY_SLOW_RATIO / this.getTargetFrameRate()) {
+            this.qualityOnBudgetTime = 0;
+            if (this.qualityLevel < QUALITY_LEVELS.length - 1) {
+                this.setQualityLevel(this.qualityLevel + 1);
+                this.qualityUpgradeDelay = Math.min(this.qualityUpgradeDelay * 2, QUALITY_MAX_UPGRADE_DELAY);
+                console.log(`Quality lowered to ${QUALITY_LEVELS[this.qualityLevel].label} at ${Math.round(1 / frameTime)} fps`);
+            }
+            return;
+        }
+
+        this.qualityOnBudgetTime += sampleTime;
+        if (this.qualityLevel > 0 && this.qualityOnBudgetTime >= this.qualityUpgradeDelay) {
+            this.qualityOnBudgetTime = 0;
+            this.setQualityLevel(this.qualityLevel - 1);
+            console.log(`Quality raised to ${QUALITY_LEVELS[this.qualityLevel].label}`);
         }
     }
 
+    updatePerformanceUI() {
+        const { adaptiveQuality, instancing } = this.performanceSettings;
+        const adaptiveToggle = document.getElementById('adaptive-quality');
+        const instancingToggle = document.getElementById('instancing');
+        const qualityLevel = document.getElementById('quality-level');
+
+        if (adaptiveToggle) adaptiveToggle.checked = adaptiveQuality;
+        if (instancingToggle) instancingToggle.checked = instancing;
+        if (qualityLevel) qualityLevel.textContent = `Quality: ${QUALITY_LEVELS[this.qualityLevel].label}`;
+    }
+
     onWindowResize() {
         this.camera.aspect = window.innerWidth / window.innerHeight;
         this.camera.updateProjectionMatrix();
@@ -1010,14 +6564,58 @@ class VRObjectCreator {
     }
 
     animate() {
-        this.renderer.setAnimationLoop(() => {
-            // Update controls (desktop mode)
-            if (this.controls && !this.renderer.xr.isPresenting) {
+        this.renderer.setAnimationLoop((time, frame) => {
+            // Update controls (desktop mode); the fly camera steers itself
+            if (this.controls && !this.renderer.xr.isPresenting && this.cameraMode === 'orbit') {
                 this.controls.update();
             }
             
-            // Update grabbed object
+            // Move the rig first so grabbed objects follow the hands to their new place
+            const delta = this.clock.getDelta();
+            this.updateLocomotion(delta);
+            
+            // Update grabbed object and the rest of its selection
             this.updateGrabbedObject();
+            this.updateSelectionFollowers();
+            
+            // Step physics after grabs so held objects report their hand velocity
+            if (this.physicsEnabled) {
+                this.physics.step(delta);
+            }
+            
+            // Light up buttons and objects under a ray or the mouse
+            this.updatePointerHover();
+            
+            // Gamepad buttons and thumbsticks, and fingertip presses on menu buttons
+            if (this.renderer.xr.isPresenting) {
+                this.updateControllerInput(delta);
+                this.updateHandPokes();
+                this.updateInspectorDrags();
+            }
+            
+            // Hit-test reticles and anchored objects in passthrough
+            if (this.isARSession && frame) {
+                this.updateAR(frame);
+            }
+            
+            // Share our pose and moves with the room, and ease peer avatars along
+            this.updateCollaboration(delta);
+            
+            // Keep the selection outline and VR inspector with the selected object
+            this.selectionHelpers.forEach(helper => helper.update());
+            if (this.selectedObject && this.inspectorDrags.size === 0) {
+                this.placeInspectorPanel();
+            }
+            if (this.isOutlinerDirty) {
+                this.renderOutliner();
+            }
+            
+            // Batch look-alike objects and refit the raycast index to this frame's
+            // poses; shadows are only redrawn when an object moved, appeared or went
+            this.scene.updateMatrixWorld();
+            this.instanceBatcher.update(this.objects);
+            this.updateSpatialIndex();
+            this.updateAdaptiveQuality(delta);
             
             // Render
             this.renderer.render(this.scene, this.camera);
@@ -1029,7 +6627,8 @@ class VRObjectCreator {
 document.addEventListener('DOMContentLoaded', () => {
     console.log('Initializing VR Object Creator...');
     try {
-        new VRObjectCreator();
+        // Exposed so extensions can call registerObjectType
+        window.vrObjectCreator = new VRObjectCreator();
     } catch (error) {
         console.error('Failed to initialize VR Object Creator:', error);
         
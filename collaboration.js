@@ -0,0 +1,192 @@
+// WebSocket client for collaborative editing through relay-server.mjs.
+// Tracks connected peers and object ownership locks; scene operations and
+// presence are handed to the app through onOperation.
+
+const RECONNECT_DELAY = 1000;
+const MAX_RECONNECT_DELAY = 15000;
+
+export class CollaborationClient {
+    constructor(user) {
+        // { id, name, color } sent to everyone in the room
+        this.user = user;
+        this.socket = null;
+        this.url = null;
+        this.room = null;
+        this.status = 'offline';
+        this.peers = new Map();
+        this.locks = new Map();
+        this.reconnectTimer = null;
+        this.reconnectDelay = RECONNECT_DELAY;
+
+        // Callbacks set by the app
+        this.onOperation = null;
+        this.onStatusChange = null;
+        this.onPeersChange = null;
+        this.onLockChange = null;
+        this.onLockDenied = null;
+    }
+
+    get isConnected() {
+        return this.status === 'connected';
+    }
+
+    connect(url, room) {
+        this.disconnect();
+        this.url = url;
+        this.room = room;
+        this.openSocket();
+    }
+
+    disconnect() {
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+        this.url = null;
+
+        if (this.socket) {
+            const socket = this.socket;
+            this.socket = null;
+            socket.close();
+        }
+        this.reset();
+        this.setStatus('offline');
+    }
+
+    openSocket() {
+        let socket;
+        try {
+            socket = new WebSocket(`${this.url}?room=${encodeURIComponent(this.room)}`);
+        } catch (error) {
+            console.warn('Collaboration connection failed:', error);
+            this.setStatus('error');
+            return;
+        }
+
+        this.socket = socket;
+        this.setStatus('connecting');
+
+        socket.addEventListener('open', () => {
+            this.send({ type: 'hello', user: this.user });
+        });
+
+        socket.addEventListener('message', (event) => {
+            let message;
+            try {
+                message = JSON.parse(event.data);
+            } catch (error) {
+                console.warn('Ignoring malformed collaboration message:', error);
+                return;
+            }
+            this.handleMessage(message);
+        });
+
+        socket.addEventListener('close', () => {
+            // Closed on purpose by disconnect() or replaced by a newer socket
+            if (this.socket !== socket) return;
+
+            this.socket = null;
+            this.reset();
+            this.setStatus('reconnecting');
+
+            // Back off so a missing server isn't hammered
+            this.reconnectTimer = setTimeout(() => this.openSocket(), this.reconnectDelay);
+            this.reconnectDelay = Math.min(this.reconnectDelay * 2, MAX_RECONNECT_DELAY);
+        });
+    }
+
+    reset() {
+        const lockedIds = [...this.locks.keys()];
+        this.peers.clear();
+        this.locks.clear();
+
+        lockedIds.forEach(id => this.notifyLockChange(id, null));
+        if (this.onPeersChange) this.onPeersChange(this.peers);
+    }
+
+    handleMessage(message) {
+        switch (message.type) {
+            case 'welcome':
+                this.reconnectDelay = RECONNECT_DELAY;
+                message.peers.forEach(peer => this.peers.set(peer.id, peer));
+                Object.entries(message.locks).forEach(([id, owner]) => {
+                    this.locks.set(id, owner);
+                    this.notifyLockChange(id, owner);
+                });
+                this.setStatus('connected');
+                if (this.onPeersChange) this.onPeersChange(this.peers);
+                return;
+            case 'join':
+                this.peers.set(message.user.id, message.user);
+                if (this.onPeersChange) this.onPeersChange(this.peers);
+                return;
+            case 'leave':
+                this.peers.delete(message.id);
+                if (this.onPeersChange) this.onPeersChange(this.peers);
+                return;
+            case 'locked':
+                this.locks.set(message.id, message.owner);
+                this.notifyLockChange(message.id, message.owner);
+                return;
+            case 'unlocked':
+                this.locks.delete(message.id);
+                this.notifyLockChange(message.id, null);
+                return;
+            case 'lock-denied':
+                // Someone else got there first
+                this.locks.set(message.id, message.owner);
+                this.notifyLockChange(message.id, message.owner);
+                if (this.onLockDenied) this.onLockDenied(message.id, message.owner);
+                return;
+            default:
+                if (this.onOperation) this.onOperation(message);
+        }
+    }
+
+    send(message) {
+        if (!this.socket || this.socket.readyState !== WebSocket.OPEN) return false;
+
+        this.socket.send(JSON.stringify(message));
+        return true;
+    }
+
+    requestLock(objectId) {
+        // Claim optimistically; the server answers with lock-denied if it was taken
+        if (this.isLockedByOther(objectId)) return false;
+
+        this.locks.set(objectId, this.user.id);
+        this.send({ type: 'lock', id: objectId });
+        return true;
+    }
+
+    releaseLock(objectId) {
+        if (!this.ownsLock(objectId)) return;
+
+        this.locks.delete(objectId);
+        this.send({ type: 'unlock', id: objectId });
+    }
+
+    ownsLock(objectId) {
+        return this.locks.get(objectId) === this.user.id;
+    }
+
+    isLockedByOther(objectId) {
+        const owner = this.locks.get(objectId);
+        return owner !== undefined && owner !== this.user.id;
+    }
+
+    getLockOwner(objectId) {
+        const owner = this.locks.get(objectId);
+        return owner !== undefined ? (this.peers.get(owner) || null) : null;
+    }
+
+    notifyLockChange(objectId, owner) {
+        if (owner === this.user.id) return;
+        if (this.onLockChange) this.onLockChange(objectId, owner);
+    }
+
+    setStatus(status) {
+        if (this.status === status) return;
+
+        this.status = status;
+        if (this.onStatusChange) this.onStatusChange(status);
+    }
+}
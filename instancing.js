@@ -0,0 +1,129 @@
+// Draws objects that share a geometry and look alike as one InstancedMesh per
+// geometry and material settings, with each object's color as an instance
+// color. The objects themselves stay in the scene for picking, physics and
+// editing; only their own draw is switched off while a batch draws them.
+// Anything highlighted, see-through or textured keeps drawing itself.
+
+import * as THREE from 'three';
+
+const MIN_BATCH_SIZE = 8;
+
+function getBatchKey(mesh) {
+    const material = mesh.material;
+    if (!mesh.isMesh || mesh.isInstancedMesh || Array.isArray(material)) return null;
+    if (!material.isMeshLambertMaterial && !material.isMeshStandardMaterial) return null;
+    if (material.map || material.transparent || material.opacity < 1) return null;
+
+    // Hovered, held and peer-held objects glow, which a shared material can't show
+    if (material.emissive.r !== 0 || material.emissive.g !== 0 || material.emissive.b !== 0) return null;
+
+    return [
+        mesh.geometry.uuid,
+        material.type,
+        material.side,
+        material.wireframe,
+        material.roughness,
+        material.metalness,
+        mesh.castShadow,
+        mesh.receiveShadow
+    ].join(':');
+}
+
+export class InstanceBatcher {
+    constructor(scene) {
+        this.scene = scene;
+        this.enabled = true;
+        // Key -> { mesh, used }
+        this.batches = new Map();
+        // Meshes currently drawn by a batch rather than themselves
+        this.batched = new Set();
+        this.drawn = new Set();
+        this.groups = new Map();
+    }
+
+    update(objects) {
+        const groups = this.groups;
+        groups.forEach(meshes => { meshes.length = 0; });
+
+        if (this.enabled) {
+            // World matrices are copied as they are, so they should be current
+            objects.forEach(object => object.traverseVisible(child => {
+                const key = getBatchKey(child);
+                if (!key) return;
+                if (!groups.has(key)) groups.set(key, []);
+                groups.get(key).push(child);
+            }));
+        }
+
+        const drawn = this.drawn;
+        drawn.clear();
+        groups.forEach((meshes, key) => {
+            if (meshes.length < MIN_BATCH_SIZE) return;
+
+            const batch = this.getBatch(key, meshes[0], meshes.length);
+            meshes.forEach((mesh, index) => {
+                batch.mesh.setMatrixAt(index, mesh.matrixWorld);
+                batch.mesh.setColorAt(index, mesh.material.color);
+                mesh.material.visible = false;
+                drawn.add(mesh);
+            });
+            batch.mesh.count = meshes.length;
+            batch.mesh.instanceMatrix.needsUpdate = true;
+            batch.mesh.instanceColor.needsUpdate = true;
+            batch.used = true;
+        });
+
+        // Meshes that left every batch draw themselves again
+        this.batched.forEach(mesh => {
+            if (!drawn.has(mesh)) mesh.material.visible = true;
+        });
+        this.drawn = this.batched;
+        this.batched = drawn;
+
+        this.batches.forEach((batch, key) => {
+            if (!batch.used) this.removeBatch(key);
+            batch.used = false;
+        });
+    }
+
+    getBatch(key, source, count) {
+        let batch = this.batches.get(key);
+        if (batch && batch.capacity >= count) return batch;
+        if (batch) this.removeBatch(key);
+
+        // Room to grow, so adding a few objects doesn't reallocate every time
+        const capacity = THREE.MathUtils.ceilPowerOfTwo(count);
+        const material = source.material.clone();
+        material.color.setHex(0xFFFFFF);
+        material.visible = true;
+
+        const mesh = new THREE.InstancedMesh(source.geometry, material, capacity);
+        mesh.castShadow = source.castShadow;
+        mesh.receiveShadow = source.receiveShadow;
+        // Instances spread across the room, beyond the geometry's own bounds
+        mesh.frustumCulled = false;
+        // Picking goes through the objects themselves
+        mesh.raycast = () => {};
+        this.scene.add(mesh);
+
+        batch = { mesh, capacity, used: false };
+        this.batches.set(key, batch);
+        return batch;
+    }
+
+    removeBatch(key) {
+        const batch = this.batches.get(key);
+        this.scene.remove(batch.mesh);
+        // The geometry belongs to the objects, so only the batch's own buffers go
+        batch.mesh.dispose();
+        batch.mesh.material.dispose();
+        this.batches.delete(key);
+    }
+
+    release() {
+        // Every object draws itself again, such as before exporting the scene
+        this.batched.forEach(mesh => { mesh.material.visible = true; });
+        this.batched.clear();
+        [...this.batches.keys()].forEach(key => this.removeBatch(key));
+    }
+}
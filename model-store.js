@@ -0,0 +1,54 @@
+// IndexedDB store for imported model files, keyed by model id. Scenes kept
+// in localStorage refer to models by id, so a large GLB doesn't count
+// against localStorage's few-megabyte quota on every autosave.
+
+const DATABASE_NAME = 'vr-object-creator';
+const DATABASE_VERSION = 1;
+const MODEL_STORE = 'models';
+
+function promisify(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+export class ModelStore {
+    constructor() {
+        this.database = null;
+    }
+
+    open() {
+        // Opened on first use; a failed open is retried next time
+        if (!this.database) {
+            if (typeof indexedDB === 'undefined') {
+                return Promise.reject(new Error('IndexedDB is not available'));
+            }
+
+            const request = indexedDB.open(DATABASE_NAME, DATABASE_VERSION);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(MODEL_STORE, { keyPath: 'id' });
+            };
+            this.database = promisify(request).catch(error => {
+                this.database = null;
+                throw error;
+            });
+        }
+        return this.database;
+    }
+
+    async transact(mode, run) {
+        const database = await this.open();
+        const transaction = database.transaction(MODEL_STORE, mode);
+        return promisify(run(transaction.objectStore(MODEL_STORE)));
+    }
+
+    put({ id, name, format, data }) {
+        return this.transact('readwrite', store => store.put({ id, name, format, data }));
+    }
+
+    async get(id) {
+        const record = await this.transact('readonly', store => store.get(id));
+        return record ? record.data : null;
+    }
+}
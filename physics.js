@@ -0,0 +1,361 @@
+import * as THREE from 'three';
+
+// Small rigid-body solver for the VR Object Creator.
+// Dynamic bodies collide as oriented boxes (or spheres) reduced to their
+// world-space bounds, which keeps contacts cheap and stable enough for
+// stacking props on tables and throwing them around the room.
+
+const GRAVITY = new THREE.Vector3(0, -9.81, 0);
+const FIXED_TIMESTEP = 1 / 120;
+const MAX_SUBSTEPS = 8;
+const RESTITUTION = 0.35;
+const BOUNCE_THRESHOLD = 0.5;
+const FRICTION = 0.04;
+const LINEAR_DAMPING = 0.02;
+const ANGULAR_DAMPING = 0.08;
+const CONTACT_ANGULAR_DAMPING = 0.85;
+const SLEEP_SPEED = 0.05;
+const SLEEP_FRAMES = 60;
+const WAKE_SPEED = 0.3;
+const MAX_THROW_SPEED = 15;
+
+// Bounds of an object's meshes in the object's own (unscaled) space
+export function computeLocalBounds(object, target = new THREE.Box3()) {
+    if (object.geometry) {
+        if (!object.geometry.boundingBox) object.geometry.computeBoundingBox();
+        return target.copy(object.geometry.boundingBox);
+    }
+
+    object.updateWorldMatrix(true, true);
+    const toLocal = object.matrixWorld.clone().invert();
+    const relative = new THREE.Matrix4();
+    const childBounds = new THREE.Box3();
+
+    target.makeEmpty();
+    object.traverse(child => {
+        if (!child.isMesh) return;
+        if (!child.geometry.boundingBox) child.geometry.computeBoundingBox();
+        relative.multiplyMatrices(toLocal, child.matrixWorld);
+        target.union(childBounds.copy(child.geometry.boundingBox).applyMatrix4(relative));
+    });
+
+    return target;
+}
+
+export class PhysicsWorld {
+    constructor() {
+        this.bodies = new Map();
+        this.staticColliders = [];
+        this.accumulator = 0;
+        this.onBodySleep = null;
+
+        // Scratch objects reused every step
+        this.boxA = new THREE.Box3();
+        this.boxB = new THREE.Box3();
+        this.rotation = new THREE.Matrix3();
+        this.extents = new THREE.Vector3();
+        this.spin = new THREE.Quaternion();
+        this.normal = new THREE.Vector3();
+        this.relativeVelocity = new THREE.Vector3();
+        this.center = new THREE.Vector3();
+        this.deltaRotation = new THREE.Quaternion();
+        this.sweepOrder = [];
+    }
+
+    addStaticBox(box) {
+        this.staticColliders.push(box.clone());
+    }
+
+    addStaticObject(object) {
+        // Every mesh in the hierarchy becomes a static box collider
+        object.updateWorldMatrix(true, true);
+        object.traverse(child => {
+            if (child.isMesh) {
+                this.addStaticBox(new THREE.Box3().setFromObject(child));
+            }
+        });
+    }
+
+    addBody(object) {
+        // Imported models are groups, so bounds come from all their meshes
+        const bounds = computeLocalBounds(object);
+        const isSphere = Boolean(object.geometry) && object.geometry.type === 'SphereGeometry';
+        const body = {
+            object,
+            shape: isSphere ? 'sphere' : 'box',
+            center: bounds.getCenter(new THREE.Vector3()),
+            halfExtents: bounds.getSize(new THREE.Vector3()).multiplyScalar(0.5),
+            radius: bounds.getBoundingSphere(new THREE.Sphere()).radius,
+            velocity: new THREE.Vector3(),
+            angularVelocity: new THREE.Vector3(),
+            isHeld: false,
+            previousPosition: object.position.clone(),
+            previousQuaternion: object.quaternion.clone(),
+            sleepFrames: 0,
+            isSleeping: false,
+            sweepBounds: new THREE.Box3()
+        };
+
+        this.bodies.set(object, body);
+        return body;
+    }
+
+    removeBody(object) {
+        this.bodies.delete(object);
+
+        // Anything resting on the removed body needs to fall again
+        this.bodies.forEach(body => {
+            body.isSleeping = false;
+            body.sleepFrames = 0;
+        });
+    }
+
+    setHeld(object, isHeld) {
+        const body = this.bodies.get(object);
+        if (!body) return;
+
+        body.isHeld = isHeld;
+        body.isSleeping = false;
+        body.sleepFrames = 0;
+
+        if (isHeld) {
+            body.velocity.set(0, 0, 0);
+            body.angularVelocity.set(0, 0, 0);
+            body.previousPosition.copy(object.position);
+            body.previousQuaternion.copy(object.quaternion);
+        } else if (body.velocity.length() > MAX_THROW_SPEED) {
+            // Throw with whatever velocity tracking measured while held
+            body.velocity.setLength(MAX_THROW_SPEED);
+        }
+    }
+
+    resetBody(object) {
+        const body = this.bodies.get(object);
+        if (!body) return;
+
+        body.velocity.set(0, 0, 0);
+        body.angularVelocity.set(0, 0, 0);
+        body.previousPosition.copy(object.position);
+        body.previousQuaternion.copy(object.quaternion);
+        body.isSleeping = false;
+        body.sleepFrames = 0;
+    }
+
+    wakeAll() {
+        this.bodies.forEach(body => this.resetBody(body.object));
+    }
+
+    step(delta) {
+        // Track hand velocity of held bodies every frame so releases can throw
+        this.bodies.forEach(body => {
+            if (body.isHeld) this.trackHeldBody(body, delta);
+        });
+
+        this.accumulator = Math.min(this.accumulator + delta, FIXED_TIMESTEP * MAX_SUBSTEPS);
+        while (this.accumulator >= FIXED_TIMESTEP) {
+            this.substep(FIXED_TIMESTEP);
+            this.accumulator -= FIXED_TIMESTEP;
+        }
+    }
+
+    trackHeldBody(body, delta) {
+        if (delta <= 0) return;
+
+        const object = body.object;
+
+        // Smooth the measured velocity to filter out tracking jitter
+        this.relativeVelocity.copy(object.position).sub(body.previousPosition).divideScalar(delta);
+        body.velocity.lerp(this.relativeVelocity, 0.5);
+
+        this.deltaRotation.copy(body.previousQuaternion).invert().premultiply(object.quaternion);
+        const angle = 2 * Math.acos(THREE.MathUtils.clamp(this.deltaRotation.w, -1, 1));
+        if (angle > 1e-5) {
+            const sinHalf = Math.sqrt(1 - this.deltaRotation.w * this.deltaRotation.w) || 1;
+            this.normal.set(this.deltaRotation.x, this.deltaRotation.y, this.deltaRotation.z)
+                .divideScalar(sinHalf)
+                .multiplyScalar(angle / delta);
+            body.angularVelocity.lerp(this.normal, 0.5);
+        }
+
+        body.previousPosition.copy(object.position);
+        body.previousQuaternion.copy(object.quaternion);
+    }
+
+    substep(dt) {
+        const active = [];
+        this.bodies.forEach(body => {
+            if (!body.isHeld && !body.isSleeping) {
+                this.integrate(body, dt);
+                active.push(body);
+            }
+        });
+
+        // Static contacts run last so resting stacks end each step at rest
+        this.collideBodies();
+        active.forEach(body => this.collideWithStatics(body));
+
+        active.forEach(body => this.updateSleep(body));
+    }
+
+    integrate(body, dt) {
+        const object = body.object;
+
+        body.velocity.addScaledVector(GRAVITY, dt);
+        body.velocity.multiplyScalar(1 - LINEAR_DAMPING * dt);
+        object.position.addScaledVector(body.velocity, dt);
+
+        body.angularVelocity.multiplyScalar(1 - ANGULAR_DAMPING * dt);
+        const speed = body.angularVelocity.length();
+        if (speed > 1e-6) {
+            this.normal.copy(body.angularVelocity).divideScalar(speed);
+            this.spin.setFromAxisAngle(this.normal, speed * dt);
+            object.quaternion.premultiply(this.spin).normalize();
+        }
+    }
+
+    getBounds(body, target) {
+        const object = body.object;
+        const scale = object.scale;
+
+        if (body.shape === 'sphere') {
+            const radius = body.radius * Math.max(scale.x, scale.y, scale.z);
+            return target.setFromCenterAndSize(object.position, this.extents.setScalar(radius * 2));
+        }
+
+        // Bounds of the oriented box: |R| * halfExtents
+        object.updateMatrix();
+        this.rotation.setFromMatrix4(object.matrix);
+        const e = this.rotation.elements;
+        const hx = body.halfExtents.x;
+        const hy = body.halfExtents.y;
+        const hz = body.halfExtents.z;
+        this.extents.set(
+            Math.abs(e[0]) * hx + Math.abs(e[3]) * hy + Math.abs(e[6]) * hz,
+            Math.abs(e[1]) * hx + Math.abs(e[4]) * hy + Math.abs(e[7]) * hz,
+            Math.abs(e[2]) * hx + Math.abs(e[5]) * hy + Math.abs(e[8]) * hz
+        ).multiplyScalar(2);
+
+        this.center.copy(body.center).applyMatrix4(object.matrix);
+        return target.setFromCenterAndSize(this.center, this.extents);
+    }
+
+    // Smallest translation that pushes box A out of box B, written to normal
+    getPenetration(a, b, normal) {
+        const overlaps = [
+            { depth: b.max.x - a.min.x, axis: [1, 0, 0] },
+            { depth: a.max.x - b.min.x, axis: [-1, 0, 0] },
+            { depth: b.max.y - a.min.y, axis: [0, 1, 0] },
+            { depth: a.max.y - b.min.y, axis: [0, -1, 0] },
+            { depth: b.max.z - a.min.z, axis: [0, 0, 1] },
+            { depth: a.max.z - b.min.z, axis: [0, 0, -1] }
+        ];
+
+        let best = overlaps[0];
+        overlaps.forEach(overlap => {
+            if (overlap.depth < best.depth) best = overlap;
+        });
+
+        normal.fromArray(best.axis);
+        return best.depth;
+    }
+
+    collideWithStatics(body) {
+        this.staticColliders.forEach(collider => {
+            this.getBounds(body, this.boxA);
+            if (!this.boxA.intersectsBox(collider)) return;
+
+            const depth = this.getPenetration(this.boxA, collider, this.normal);
+            body.object.position.addScaledVector(this.normal, depth);
+            this.applyContactImpulse(body, this.normal, body.velocity);
+        });
+    }
+
+    collideBodies() {
+        // Sweep and prune: sorted by their left edge, a body only meets the ones
+        // that start before it ends along x, instead of every other body
+        const bodies = this.sweepOrder;
+        bodies.length = 0;
+        this.bodies.forEach(body => {
+            this.getBounds(body, body.sweepBounds);
+            bodies.push(body);
+        });
+        bodies.sort((a, b) => a.sweepBounds.min.x - b.sweepBounds.min.x);
+
+        for (let i = 0; i < bodies.length; i++) {
+            const a = bodies[i];
+            for (let j = i + 1; j < bodies.length && bodies[j].sweepBounds.min.x <= a.sweepBounds.max.x; j++) {
+                const b = bodies[j];
+                if ((a.isHeld || a.isSleeping) && (b.isHeld || b.isSleeping)) continue;
+
+                this.getBounds(a, this.boxA);
+                this.getBounds(b, this.boxB);
+                if (!this.boxA.intersectsBox(this.boxB)) continue;
+
+                const depth = this.getPenetration(this.boxA, this.boxB, this.normal);
+
+                // Only a real impact wakes a resting body, not something lying on it
+                this.relativeVelocity.copy(a.velocity).sub(b.velocity);
+                const approaching = this.relativeVelocity.dot(this.normal);
+                if (-approaching > WAKE_SPEED) {
+                    [a, b].forEach(body => {
+                        if (body.isSleeping) {
+                            body.isSleeping = false;
+                            body.sleepFrames = 0;
+                        }
+                    });
+                }
+
+                const aMovable = !a.isHeld && !a.isSleeping;
+                const bMovable = !b.isHeld && !b.isSleeping;
+                if (!aMovable && !bMovable) continue;
+
+                // Split the correction between whichever bodies can move
+                if (aMovable && bMovable) {
+                    a.object.position.addScaledVector(this.normal, depth / 2);
+                    b.object.position.addScaledVector(this.normal, -depth / 2);
+                } else if (aMovable) {
+                    a.object.position.addScaledVector(this.normal, depth);
+                } else {
+                    b.object.position.addScaledVector(this.normal, -depth);
+                }
+
+                // Exchange momentum along the contact normal (equal masses)
+                if (approaching < 0) {
+                    const restitution = -approaching > BOUNCE_THRESHOLD ? RESTITUTION : 0;
+                    const impulse = -(1 + restitution) * approaching / (aMovable && bMovable ? 2 : 1);
+                    if (aMovable) a.velocity.addScaledVector(this.normal, impulse);
+                    if (bMovable) b.velocity.addScaledVector(this.normal, -impulse);
+                }
+
+                if (aMovable) a.angularVelocity.multiplyScalar(CONTACT_ANGULAR_DAMPING);
+                if (bMovable) b.angularVelocity.multiplyScalar(CONTACT_ANGULAR_DAMPING);
+            }
+        }
+    }
+
+    applyContactImpulse(body, normal, velocity) {
+        const normalSpeed = velocity.dot(normal);
+        if (normalSpeed < 0) {
+            // Bounce along the normal, bleed off sliding speed along the surface
+            const restitution = -normalSpeed > BOUNCE_THRESHOLD ? RESTITUTION : 0;
+            velocity.addScaledVector(normal, -(1 + restitution) * normalSpeed);
+            const tangentialScale = 1 - FRICTION;
+            const bounced = velocity.dot(normal);
+            velocity.addScaledVector(normal, -bounced).multiplyScalar(tangentialScale).addScaledVector(normal, bounced);
+        }
+
+        body.angularVelocity.multiplyScalar(CONTACT_ANGULAR_DAMPING);
+    }
+
+    updateSleep(body) {
+        const isSlow = body.velocity.length() < SLEEP_SPEED && body.angularVelocity.length() < SLEEP_SPEED;
+        body.sleepFrames = isSlow ? body.sleepFrames + 1 : 0;
+
+        if (body.sleepFrames > SLEEP_FRAMES) {
+            body.velocity.set(0, 0, 0);
+            body.angularVelocity.set(0, 0, 0);
+            body.isSleeping = true;
+            if (this.onBodySleep) this.onBodySleep(body.object);
+        }
+    }
+}
@@ -0,0 +1,310 @@
+// Relay server for collaborative editing sessions.
+//
+// Run with `node relay-server.mjs [port]` (default 8787) and connect from the
+// page with ws://localhost:8787. Clients in the same room receive each other's
+// operations and presence; the server only keeps track of who is in a room
+// and which objects are locked, never the scene itself. Uses Node built-ins
+// only, so there is nothing to install.
+
+import http from 'node:http';
+import crypto from 'node:crypto';
+
+const PORT = Number(process.argv[2] || process.env.PORT || 8787);
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const HEARTBEAT_INTERVAL = 30000;
+
+// Scenes with embedded models travel as single messages, so allow large frames
+const MAX_MESSAGE_SIZE = 64 * 1024 * 1024;
+
+const OPCODES = {
+    continuation: 0x0,
+    text: 0x1,
+    binary: 0x2,
+    close: 0x8,
+    ping: 0x9,
+    pong: 0xA
+};
+
+// Room name -> { clients: Set, locks: Map of object id -> user id }
+const rooms = new Map();
+
+function getRoom(name) {
+    if (!rooms.has(name)) {
+        rooms.set(name, { clients: new Set(), locks: new Map() });
+    }
+    return rooms.get(name);
+}
+
+function encodeFrame(opcode, payload = Buffer.alloc(0)) {
+    // Server frames are never masked
+    let header;
+    if (payload.length < 126) {
+        header = Buffer.alloc(2);
+        header[1] = payload.length;
+    } else if (payload.length < 0x10000) {
+        header = Buffer.alloc(4);
+        header[1] = 126;
+        header.writeUInt16BE(payload.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+    header[0] = 0x80 | opcode;
+    return Buffer.concat([header, payload]);
+}
+
+function decodeFrame(buffer) {
+    // Returns null until a whole frame has arrived
+    if (buffer.length < 2) return null;
+
+    const fin = (buffer[0] & 0x80) !== 0;
+    const opcode = buffer[0] & 0x0F;
+    const masked = (buffer[1] & 0x80) !== 0;
+    let length = buffer[1] & 0x7F;
+    let offset = 2;
+
+    if (length === 126) {
+        if (buffer.length < 4) return null;
+        length = buffer.readUInt16BE(2);
+        offset = 4;
+    } else if (length === 127) {
+        if (buffer.length < 10) return null;
+        length = Number(buffer.readBigUInt64BE(2));
+        offset = 10;
+    }
+
+    if (length > MAX_MESSAGE_SIZE) {
+        throw new Error(`Frame of ${length} bytes exceeds the ${MAX_MESSAGE_SIZE} byte limit`);
+    }
+
+    const maskLength = masked ? 4 : 0;
+    if (buffer.length < offset + maskLength + length) return null;
+
+    const payload = Buffer.from(buffer.subarray(offset + maskLength, offset + maskLength + length));
+    if (masked) {
+        const mask = buffer.subarray(offset, offset + 4);
+        for (let i = 0; i < payload.length; i++) {
+            payload[i] ^= mask[i % 4];
+        }
+    }
+
+    return { fin, opcode, payload, size: offset + maskLength + length };
+}
+
+function isWritable(socket) {
+    // Ended sockets stay around until 'close' fires; writing to them is an error
+    return !socket.destroyed && !socket.writableEnded;
+}
+
+function send(client, message) {
+    if (!isWritable(client.socket)) return;
+    client.socket.write(encodeFrame(OPCODES.text, Buffer.from(JSON.stringify(message))));
+}
+
+function broadcast(room, message, except = null) {
+    room.clients.forEach(client => {
+        if (client !== except && client.user) send(client, message);
+    });
+}
+
+function findClient(room, userId) {
+    return [...room.clients].find(client => client.user && client.user.id === userId) || null;
+}
+
+function handleMessage(client, message) {
+    const room = client.room;
+
+    // Everything else waits until the client has said who it is
+    if (!client.user) {
+        if (message.type !== 'hello' || !message.user || !message.user.id) return;
+
+        client.user = message.user;
+        const peers = [...room.clients]
+            .filter(other => other !== client && other.user)
+            .map(other => other.user);
+        send(client, {
+            type: 'welcome',
+            peers,
+            locks: Object.fromEntries(room.locks)
+        });
+        broadcast(room, { type: 'join', user: client.user }, client);
+
+        // The longest-connected peer sends the newcomer the current scene
+        if (peers.length > 0) {
+            send(findClient(room, peers[0].id), { type: 'sync-request', from: client.user.id });
+        }
+        console.log(`${client.user.name} joined room "${client.roomName}" (${room.clients.size} connected)`);
+        return;
+    }
+
+    const from = client.user.id;
+    switch (message.type) {
+        case 'lock': {
+            const owner = room.locks.get(message.id);
+            if (owner && owner !== from) {
+                send(client, { type: 'lock-denied', id: message.id, owner });
+                return;
+            }
+            room.locks.set(message.id, from);
+            broadcast(room, { type: 'locked', id: message.id, owner: from }, client);
+            return;
+        }
+        case 'unlock':
+            if (room.locks.get(message.id) !== from) return;
+            room.locks.delete(message.id);
+            broadcast(room, { type: 'unlocked', id: message.id }, client);
+            return;
+        case 'sync': {
+            // Scene snapshots go only to the client that asked
+            const target = findClient(room, message.to);
+            if (target) send(target, { ...message, from });
+            return;
+        }
+        case 'delete':
+            // A deleted object can't stay locked
+            if (room.locks.delete(message.id)) {
+                broadcast(room, { type: 'unlocked', id: message.id }, client);
+            }
+            broadcast(room, { ...message, from }, client);
+            return;
+        case 'scene':
+            // Loading a scene replaces every object, so nothing stays locked
+            room.locks.forEach((owner, id) => {
+                if (owner !== from) broadcast(room, { type: 'unlocked', id });
+            });
+            room.locks.clear();
+            broadcast(room, { ...message, from }, client);
+            return;
+        default:
+            // Operations and presence are relayed as-is, tagged with the sender
+            broadcast(room, { ...message, from }, client);
+    }
+}
+
+function handleFrame(client, frame) {
+    switch (frame.opcode) {
+        case OPCODES.ping:
+            client.socket.write(encodeFrame(OPCODES.pong, frame.payload));
+            return;
+        case OPCODES.pong:
+            client.isAlive = true;
+            return;
+        case OPCODES.close:
+            // Leave the room now rather than when the socket finally closes,
+            // so nothing is broadcast to it in between
+            removeClient(client);
+            if (isWritable(client.socket)) client.socket.end(encodeFrame(OPCODES.close));
+            return;
+        case OPCODES.text:
+        case OPCODES.binary:
+            client.fragments = [frame.payload];
+            break;
+        case OPCODES.continuation:
+            client.fragments.push(frame.payload);
+            break;
+        default:
+            return;
+    }
+
+    if (!frame.fin) return;
+
+    const data = Buffer.concat(client.fragments).toString('utf8');
+    client.fragments = [];
+    try {
+        handleMessage(client, JSON.parse(data));
+    } catch (error) {
+        console.warn('Ignoring malformed message:', error.message);
+    }
+}
+
+function removeClient(client) {
+    const room = client.room;
+    if (!room.clients.delete(client)) return;
+
+    if (client.user) {
+        // Objects the departing user was holding become free again
+        room.locks.forEach((owner, id) => {
+            if (owner !== client.user.id) return;
+            room.locks.delete(id);
+            broadcast(room, { type: 'unlocked', id });
+        });
+        broadcast(room, { type: 'leave', id: client.user.id });
+        console.log(`${client.user.name} left room "${client.roomName}" (${room.clients.size} connected)`);
+    }
+
+    if (room.clients.size === 0) {
+        rooms.delete(client.roomName);
+    }
+}
+
+const server = http.createServer((request, response) => {
+    response.writeHead(426, { 'Content-Type': 'text/plain', 'Upgrade': 'websocket' });
+    response.end('VR Object Creator relay: connect over WebSocket\n');
+});
+
+server.on('upgrade', (request, socket) => {
+    const key = request.headers['sec-websocket-key'];
+    if ((request.headers.upgrade || '').toLowerCase() !== 'websocket' || !key) {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return;
+    }
+
+    const accept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '',
+        ''
+    ].join('\r\n'));
+    socket.setNoDelay(true);
+
+    const roomName = new URL(request.url, 'http://localhost').searchParams.get('room') || 'default';
+    const client = {
+        socket,
+        roomName,
+        room: getRoom(roomName),
+        user: null,
+        buffer: Buffer.alloc(0),
+        fragments: [],
+        isAlive: true
+    };
+    client.room.clients.add(client);
+
+    socket.on('data', (chunk) => {
+        client.buffer = Buffer.concat([client.buffer, chunk]);
+        try {
+            let frame;
+            while ((frame = decodeFrame(client.buffer))) {
+                client.buffer = client.buffer.subarray(frame.size);
+                handleFrame(client, frame);
+            }
+        } catch (error) {
+            console.warn('Closing connection:', error.message);
+            socket.destroy();
+        }
+    });
+    socket.on('close', () => removeClient(client));
+    socket.on('error', (error) => console.warn('Socket error:', error.message));
+});
+
+// Drop connections that stop answering pings, such as a headset put to sleep
+setInterval(() => {
+    rooms.forEach(room => {
+        room.clients.forEach(client => {
+            if (!client.isAlive) {
+                client.socket.destroy();
+                return;
+            }
+            if (!isWritable(client.socket)) return;
+            client.isAlive = false;
+            client.socket.write(encodeFrame(OPCODES.ping));
+        });
+    });
+}, HEARTBEAT_INTERVAL);
+
+server.listen(PORT, () => {
+    console.log(`Collaboration relay listening on ws://localhost:${PORT}`);
+});
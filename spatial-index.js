@@ -0,0 +1,127 @@
+// Bounding volume hierarchy over the scene's objects, so a ray only runs exact
+// mesh tests against the few objects whose bounds it passes through. Moving
+// objects refit the tree in place; adding or removing objects rebuilds it.
+
+import * as THREE from 'three';
+
+const LEAF_SIZE = 4;
+const AXES = ['x', 'y', 'z'];
+
+function createNode(entries) {
+    const node = { bounds: new THREE.Box3(), left: null, right: null, entries: null };
+
+    if (entries.length <= LEAF_SIZE) {
+        node.entries = entries;
+        return node;
+    }
+
+    // Split at the median along the axis where the object centres spread furthest
+    const spread = new THREE.Box3();
+    entries.forEach(entry => spread.expandByPoint(entry.center));
+    const size = spread.getSize(new THREE.Vector3());
+    const axis = AXES.reduce((best, candidate) => size[candidate] > size[best] ? candidate : best, 'x');
+
+    entries.sort((a, b) => a.center[axis] - b.center[axis]);
+    const middle = Math.floor(entries.length / 2);
+    node.left = createNode(entries.slice(0, middle));
+    node.right = createNode(entries.slice(middle));
+    return node;
+}
+
+function refitNode(node) {
+    node.bounds.makeEmpty();
+    if (node.entries) {
+        node.entries.forEach(entry => node.bounds.union(entry.bounds));
+    } else {
+        node.bounds.union(refitNode(node.left)).union(refitNode(node.right));
+    }
+    return node.bounds;
+}
+
+export class SpatialIndex {
+    constructor() {
+        // Object -> { object, bounds, center, matrix, visible }
+        this.entries = new Map();
+        this.root = null;
+        this.stack = [];
+        this.candidates = [];
+        this.present = new Set();
+        this.entryPoint = new THREE.Vector3();
+    }
+
+    update(objects) {
+        // Returns whether anything was added, removed, moved or shown/hidden
+        let isRebuildNeeded = objects.length !== this.entries.size;
+        let isRefitNeeded = false;
+
+        objects.forEach(object => {
+            let entry = this.entries.get(object);
+            if (!entry) {
+                entry = {
+                    object,
+                    bounds: new THREE.Box3(),
+                    center: new THREE.Vector3(),
+                    matrix: new THREE.Matrix4(),
+                    visible: object.visible
+                };
+                this.entries.set(object, entry);
+                isRebuildNeeded = true;
+            } else if (entry.matrix.equals(object.matrixWorld) && entry.visible === object.visible) {
+                return;
+            }
+
+            entry.matrix.copy(object.matrixWorld);
+            entry.visible = object.visible;
+            entry.bounds.setFromObject(object);
+            entry.bounds.getCenter(entry.center);
+            isRefitNeeded = true;
+        });
+
+        if (isRebuildNeeded) {
+            this.prune(objects);
+            const entries = [...this.entries.values()];
+            this.root = entries.length > 0 ? createNode(entries) : null;
+        }
+        if (this.root && (isRebuildNeeded || isRefitNeeded)) {
+            refitNode(this.root);
+        }
+        return isRebuildNeeded || isRefitNeeded;
+    }
+
+    prune(objects) {
+        // Forget objects that have left the scene
+        this.present.clear();
+        objects.forEach(object => this.present.add(object));
+        this.entries.forEach((entry, object) => {
+            if (!this.present.has(object)) this.entries.delete(object);
+        });
+    }
+
+    intersect(raycaster, filter = null, target = []) {
+        // Walk the boxes the ray crosses, then raycast only the objects found there
+        const candidates = this.candidates;
+        const stack = this.stack;
+        candidates.length = 0;
+        if (this.root) stack.push(this.root);
+
+        while (stack.length > 0) {
+            // Boxes beyond the raycaster's reach are skipped too, for short segments like the teleport arc.
+            // A ray starting inside a box always reaches it, whatever its exit point
+            const node = stack.pop();
+            if (!node.bounds.containsPoint(raycaster.ray.origin)) {
+                const hitPoint = raycaster.ray.intersectBox(node.bounds, this.entryPoint);
+                if (!hitPoint || hitPoint.distanceTo(raycaster.ray.origin) > raycaster.far) continue;
+            }
+
+            if (node.entries) {
+                node.entries.forEach(entry => {
+                    if (!filter || filter(entry.object)) candidates.push(entry.object);
+                });
+            } else {
+                stack.push(node.left, node.right);
+            }
+        }
+
+        return raycaster.intersectObjects(candidates, true, target);
+    }
+}
@@ -0,0 +1,35 @@
+// Regression checks for SpatialIndex, run with npm test
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { SpatialIndex } from './spatial-index.js';
+
+function createBox(x, y, z) {
+    const mesh = new THREE.Mesh(new THREE.BoxGeometry(0.5, 0.5, 0.5), new THREE.MeshBasicMaterial());
+    mesh.position.set(x, y, z);
+    mesh.updateMatrixWorld(true);
+    return mesh;
+}
+
+test('a short segment starting inside the bounds finds the objects it reaches', () => {
+    // The boxes behind and far ahead put the origin inside bounds that reach well past the segment's end
+    const near = createBox(1, 0, 0);
+    const objects = [createBox(-1, 0, 0), near, createBox(50, 0, 0)];
+    const index = new SpatialIndex();
+    index.update(objects);
+
+    const raycaster = new THREE.Raycaster(new THREE.Vector3(0, 0, 0), new THREE.Vector3(1, 0, 0), 0, 2);
+    const hits = index.intersect(raycaster);
+
+    assert.equal(hits.length > 0, true);
+    assert.equal(hits[0].object, near);
+});
+
+test('a short segment outside the bounds skips objects beyond its reach', () => {
+    const index = new SpatialIndex();
+    index.update([createBox(10, 0, 0)]);
+
+    const raycaster = new THREE.Raycaster(new THREE.Vector3(0, 0, 0), new THREE.Vector3(1, 0, 0), 0, 2);
+    assert.deepEqual(index.intersect(raycaster), []);
+});
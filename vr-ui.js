@@ -0,0 +1,189 @@
+// Building blocks for the in-VR menu: flat buttons with a canvas-rendered
+// icon and label, hover/press/disabled looks, and row and grid layout helpers
+// so panels don't need hand-computed offsets.
+
+import * as THREE from 'three';
+
+const PIXELS_PER_METER = 640;
+const BUTTON_OPACITY = 0.9;
+const DISABLED_OPACITY = 0.35;
+const RESTING_TINT = 0xCCCCCC;
+const HOVER_EMISSIVE = 0x303030;
+const PRESS_EMISSIVE = 0x808080;
+const PRESS_SCALE = 0.94;
+const PRESS_DURATION = 300;
+
+function toCssColor(hex) {
+    return `#${hex.toString(16).padStart(6, '0')}`;
+}
+
+function getTextColor(hex) {
+    // Dark text on light backgrounds, white on dark ones
+    const r = (hex >> 16) & 0xFF;
+    const g = (hex >> 8) & 0xFF;
+    const b = hex & 0xFF;
+    return 0.299 * r + 0.587 * g + 0.114 * b > 150 ? '#1A1A1A' : '#FFFFFF';
+}
+
+function drawButton(canvas, { label, icon, color, background }) {
+    const context = canvas.getContext('2d');
+    const { width, height } = canvas;
+    const radius = Math.min(width, height) * 0.15;
+
+    context.clearRect(0, 0, width, height);
+    if (background) {
+        context.fillStyle = toCssColor(color);
+        context.beginPath();
+        context.roundRect(0, 0, width, height, radius);
+        context.fill();
+    }
+
+    context.fillStyle = background ? getTextColor(color) : toCssColor(color);
+    context.textAlign = 'center';
+    context.textBaseline = 'middle';
+    const padding = height * 0.12;
+    const maxWidth = width - padding * 2;
+
+    if (icon && label && height >= width * 0.4) {
+        // Square-ish buttons stack the icon over the label
+        context.font = `${Math.round(height * 0.36)}px sans-serif`;
+        context.fillText(icon, width / 2, height * 0.36, maxWidth);
+        context.font = `bold ${Math.round(height * 0.2)}px sans-serif`;
+        context.fillText(label, width / 2, height * 0.76, maxWidth);
+    } else {
+        const text = [icon, label].filter(Boolean).join(' ');
+        context.font = `bold ${Math.round(height * (label ? 0.4 : 0.6))}px sans-serif`;
+        context.fillText(text, width / 2, height / 2, maxWidth);
+    }
+}
+
+function redraw(button) {
+    const { canvas, texture } = button.userData;
+    drawButton(canvas, button.userData);
+    texture.needsUpdate = true;
+}
+
+function applyLook(button) {
+    const { disabled, hovered, pressed } = button.userData;
+    const material = button.material;
+    const isPressed = pressed && !disabled;
+    const isLit = (hovered || pressed) && !disabled;
+
+    material.opacity = disabled ? DISABLED_OPACITY : button.userData.originalOpacity;
+    if (material.emissive) {
+        // Lit controls brighten through emissive so they keep their own color
+        material.emissive.setHex(isLit ? (isPressed ? PRESS_EMISSIVE : HOVER_EMISSIVE) : 0x000000);
+    } else {
+        // Unlit buttons rest slightly dimmed so hovering has room to brighten them
+        material.color.setHex(isLit ? 0xFFFFFF : RESTING_TINT);
+    }
+    button.scale.setScalar(isPressed ? PRESS_SCALE : 1);
+}
+
+export function createButton({ width, height, label = '', icon = '', color = 0x607D8B, background = true, ...userData }) {
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(width * PIXELS_PER_METER);
+    canvas.height = Math.round(height * PIXELS_PER_METER);
+
+    const texture = new THREE.CanvasTexture(canvas);
+    texture.colorSpace = THREE.SRGBColorSpace;
+
+    const button = new THREE.Mesh(
+        new THREE.PlaneGeometry(width, height),
+        // Unlit, so the menu reads the same wherever it's carried
+        new THREE.MeshBasicMaterial({
+            map: texture,
+            transparent: true,
+            opacity: BUTTON_OPACITY
+        })
+    );
+    button.userData = {
+        ...userData,
+        label,
+        icon,
+        color,
+        background,
+        canvas,
+        texture,
+        originalOpacity: BUTTON_OPACITY,
+        disabled: false,
+        hovered: false,
+        pressed: false,
+        pressTimer: null
+    };
+
+    redraw(button);
+    applyLook(button);
+    return button;
+}
+
+export function updateButton(button, changes) {
+    // Only redraw the canvas when something it shows has changed
+    const data = button.userData;
+    const needsRedraw = ['label', 'icon', 'color'].some(key => key in changes && changes[key] !== data[key]);
+    Object.assign(data, changes);
+
+    if (needsRedraw) redraw(button);
+    applyLook(button);
+}
+
+export function setButtonHovered(button, hovered) {
+    if (button.userData.hovered === hovered) return;
+
+    button.userData.hovered = hovered;
+    applyLook(button);
+}
+
+export function flashButton(button) {
+    clearTimeout(button.userData.pressTimer);
+    button.userData.pressed = true;
+    applyLook(button);
+
+    button.userData.pressTimer = setTimeout(() => {
+        button.userData.pressed = false;
+        applyLook(button);
+    }, PRESS_DURATION);
+}
+
+export function disposeButton(button) {
+    clearTimeout(button.userData.pressTimer);
+    button.geometry.dispose();
+    button.material.dispose();
+    if (button.userData.texture) button.userData.texture.dispose();
+}
+
+function getSize(item) {
+    const { width, height } = item.geometry.parameters;
+    return { width, height };
+}
+
+export function layoutRow(items, { x = 0, y = 0, z = 0.02, gap = 0.05 } = {}) {
+    // Centre the row on x, whatever the widths of its items
+    const widths = items.map(item => getSize(item).width);
+    const total = widths.reduce((sum, width) => sum + width, 0) + gap * Math.max(0, items.length - 1);
+
+    let left = x - total / 2;
+    items.forEach((item, i) => {
+        item.position.set(left + widths[i] / 2, y, z);
+        left += widths[i] + gap;
+    });
+    return items;
+}
+
+export function layoutGrid(items, { columns, x = 0, top = 0, z = 0.02, gapX = 0.05, gapY = 0.05 } = {}) {
+    // Rows of equally sized cells hanging down from top; returns the grid's bottom edge
+    if (items.length === 0) return top;
+
+    const { width, height } = getSize(items[0]);
+    const rows = Math.ceil(items.length / columns);
+    items.forEach((item, i) => {
+        const row = Math.floor(i / columns);
+        const column = i % columns;
+        item.position.set(
+            x + (column - (columns - 1) / 2) * (width + gapX),
+            top - height / 2 - row * (height + gapY),
+            z
+        );
+    });
+    return top - rows * height - (rows - 1) * gapY;
+}